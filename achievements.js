@@ -0,0 +1,189 @@
+// Achievements: declarative definitions checked against game events, unlocked into
+// gameState.stats.achievements (a list of achievement ids, saved with the stats).
+//
+// Definition: { id, name, description, event, conditions }
+// - event: 'jump', 'land', 'nearMiss', 'death' or 'levelComplete'; omit to check on every event
+// - conditions: { key: condition } - all must hold. Keys name a field of the event data,
+//   or a lifetime stat as 'stats.<name>'. A condition is an exact value, or an object
+//   with any of { min, max, oneOf: [...] }.
+//
+// Event data:
+// - levelComplete: { mode, target, levelNumber, custom, runLevels, runDeaths, runTime, levelTime, levelDeaths, score }
+//   (target: levels in the speedrun, else null; runLevels counts this level; times in ms;
+//   score only in endless and daily)
+// - death: { mode, runDeaths, cause } (cause as in Simulation: 'blackHole' or 'lost')
+// - nearMiss: { x, y, clearance } (see Simulation.checkNearMiss)
+// - jump / land: the simulation event ({ x, y, ... })
+const ACHIEVEMENTS = [
+    { id: 'first-jump', name: 'Liftoff', description: 'Make your first jump',
+        event: 'jump', conditions: { 'stats.totalJumps': { min: 1 } } },
+    { id: 'first-clear', name: 'Made It', description: 'Clear your first level',
+        event: 'levelComplete', conditions: { 'stats.totalLevelsCompleted': { min: 1 } } },
+    { id: 'first-death', name: 'Spaghettified', description: 'Fall into a black hole',
+        event: 'death', conditions: { cause: 'blackHole' } },
+    { id: 'black-hole-flyby', name: 'Close Call', description: 'Survive a black hole flyby',
+        event: 'nearMiss', conditions: { 'stats.blackHolesSurvived': { min: 1 } } },
+    { id: 'black-hole-flyby-25', name: 'Daredevil', description: 'Survive 25 black hole flybys',
+        event: 'nearMiss', conditions: { 'stats.blackHolesSurvived': { min: 25 } } },
+    { id: 'landings-100', name: 'Frequent Flyer', description: 'Land on planets 100 times',
+        event: 'land', conditions: { 'stats.totalLandings': { min: 100 } } },
+    { id: 'landings-1000', name: 'Planet Hopper', description: 'Land on planets 1,000 times',
+        event: 'land', conditions: { 'stats.totalLandings': { min: 1000 } } },
+    { id: 'levels-100', name: 'Explorer', description: 'Clear 100 levels',
+        event: 'levelComplete', conditions: { 'stats.totalLevelsCompleted': { min: 100 } } },
+    { id: 'levels-1000', name: 'Voyager', description: 'Clear 1,000 levels',
+        event: 'levelComplete', conditions: { 'stats.totalLevelsCompleted': { min: 1000 } } },
+    { id: 'deaths-100', name: 'Persistence', description: 'Die 100 times and keep playing',
+        event: 'death', conditions: { 'stats.totalDeaths': { min: 100 } } },
+    { id: 'quick-clear', name: 'Hole in One', description: 'Clear a level within 3 seconds',
+        event: 'levelComplete', conditions: { levelTime: { max: 3000 } } },
+    { id: 'deathless-10', name: 'Steady Hands', description: 'Clear level 10 of a run without dying',
+        event: 'levelComplete', conditions: { runLevels: { min: 10 }, runDeaths: 0 } },
+    { id: 'deathless-51', name: 'Untouchable', description: 'Clear level 51 of a run without dying',
+        event: 'levelComplete', conditions: { runLevels: { min: 51 }, runDeaths: 0 } },
+    { id: 'endless-25', name: 'Long Haul', description: 'Clear 25 levels in one endless run',
+        event: 'levelComplete', conditions: { mode: 'endless', runLevels: { min: 25 } } },
+    { id: 'endless-score', name: 'High Flyer', description: 'Score 50,000 in endless mode',
+        event: 'levelComplete', conditions: { mode: 'endless', score: { min: 50000 } } },
+    { id: 'speedrun-10', name: 'Speedster', description: 'Finish a 10-level speedrun',
+        event: 'levelComplete', conditions: { mode: 'speedrun', target: 10, runLevels: 10 } },
+    { id: 'speedrun-sub-minute', name: 'Sub-Minute', description: 'Finish a 10-level speedrun in under a minute',
+        event: 'levelComplete', conditions: { mode: 'speedrun', target: 10, runLevels: 10, runTime: { max: 60000 } } },
+    { id: 'daily-5', name: 'Daily Devotion', description: 'Clear 5 levels of a daily challenge',
+        event: 'levelComplete', conditions: { mode: 'daily', runLevels: { min: 5 } } },
+    { id: 'campaign-clear', name: 'Storyteller', description: 'Clear a campaign level',
+        event: 'levelComplete', conditions: { mode: 'campaign' } },
+    { id: 'custom-clear', name: 'Made by Hand', description: 'Clear a custom or shared level in practice',
+        event: 'levelComplete', conditions: { mode: 'practice', custom: true } }
+];
+const ACHIEVEMENT_TOAST_DURATION = 3500; // ms on screen per unlock
+
+function matchesAchievementCondition(value, condition) {
+    if (condition === null || typeof condition !== 'object') return value === condition;
+    if ('min' in condition && !(value >= condition.min)) return false;
+    if ('max' in condition && !(value <= condition.max)) return false;
+    if ('oneOf' in condition && !condition.oneOf.includes(value)) return false;
+    return true;
+}
+
+function getAchievementValue(key, data) {
+    return key.startsWith('stats.') ? gameState.stats[key.slice(6)] : data[key];
+}
+
+function isAchievementUnlocked(id) {
+    return Array.isArray(gameState.stats.achievements) && gameState.stats.achievements.includes(id);
+}
+
+// Check every locked achievement against an event; unlocks are saved and toasted
+function checkAchievements(event, data = {}) {
+    if (!Array.isArray(gameState.stats.achievements)) gameState.stats.achievements = [];
+
+    let unlocked = false;
+    for (const achievement of ACHIEVEMENTS) {
+        if (achievement.event && achievement.event !== event) continue;
+        if (isAchievementUnlocked(achievement.id)) continue;
+
+        const conditions = achievement.conditions;
+        const met = Object.keys(conditions).every(key =>
+            matchesAchievementCondition(getAchievementValue(key, data), conditions[key]));
+        if (!met) continue;
+
+        gameState.stats.achievements.push(achievement.id);
+        gameState.achievementToasts.push({ achievement: achievement, shownAt: null });
+        unlocked = true;
+    }
+
+    if (unlocked) {
+        saveToStorage('littlePrinceStats', gameState.stats);
+    }
+}
+
+// Progress towards a lifetime-stat achievement ({ current, goal }), or null for the rest
+function getAchievementProgress(achievement) {
+    for (const key in achievement.conditions) {
+        const condition = achievement.conditions[key];
+        if (key.startsWith('stats.') && condition && typeof condition.min === 'number' && condition.min > 1) {
+            const current = gameState.stats[key.slice(6)] || 0;
+            return { current: Math.min(current, condition.min), goal: condition.min };
+        }
+    }
+    return null;
+}
+
+// Unlock banner at the top of the canvas, one achievement at a time
+function drawAchievementToast(ctx) {
+    const toasts = gameState.achievementToasts;
+    if (toasts.length === 0) return;
+
+    const now = gameState.lastFrameTime;
+    const toast = toasts[0];
+    if (toast.shownAt === null) toast.shownAt = now;
+
+    const elapsed = now - toast.shownAt;
+    if (elapsed >= ACHIEVEMENT_TOAST_DURATION) {
+        toasts.shift();
+        return;
+    }
+
+    // Slide in, hold, fade out
+    const slide = Math.min(1, elapsed / 250);
+    const fade = Math.min(1, (ACHIEVEMENT_TOAST_DURATION - elapsed) / 500);
+    const width = 300;
+    const height = 54;
+    const x = (CANVAS_WIDTH - width) / 2;
+    const y = -height + slide * (height + 12);
+
+    ctx.save();
+    ctx.globalAlpha = fade;
+    ctx.fillStyle = 'rgba(0, 20, 40, 0.9)';
+    ctx.strokeStyle = '#ffd700';
+    ctx.lineWidth = 2;
+    ctx.fillRect(x, y, width, height);
+    ctx.strokeRect(x, y, width, height);
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#ffd700';
+    ctx.font = 'bold 12px Arial';
+    ctx.fillText('ACHIEVEMENT UNLOCKED', CANVAS_WIDTH / 2, y + 18);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 16px Arial';
+    ctx.fillText(toast.achievement.name, CANVAS_WIDTH / 2, y + 40);
+    ctx.restore();
+}
+
+// Achievement cards on the stats screen
+function showAchievementGallery() {
+    const gallery = document.getElementById('achievement-gallery');
+    gallery.textContent = '';
+
+    let unlockedCount = 0;
+    for (const achievement of ACHIEVEMENTS) {
+        const unlocked = isAchievementUnlocked(achievement.id);
+        if (unlocked) unlockedCount++;
+
+        const card = document.createElement('div');
+        card.className = unlocked ? 'achievement unlocked' : 'achievement';
+
+        const name = document.createElement('p');
+        name.className = 'achievement-name';
+        name.textContent = achievement.name;
+        card.appendChild(name);
+
+        const description = document.createElement('p');
+        description.className = 'achievement-description';
+        description.textContent = achievement.description;
+        card.appendChild(description);
+
+        const progress = unlocked ? null : getAchievementProgress(achievement);
+        if (progress) {
+            const progressText = document.createElement('p');
+            progressText.className = 'achievement-progress';
+            progressText.textContent = `${progress.current.toLocaleString()} / ${progress.goal.toLocaleString()}`;
+            card.appendChild(progressText);
+        }
+
+        gallery.appendChild(card);
+    }
+
+    document.getElementById('achievement-count').textContent = `${unlockedCount}/${ACHIEVEMENTS.length}`;
+}
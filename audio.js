@@ -0,0 +1,288 @@
+// Sound: everything is synthesized with Web Audio as it plays, so there are no sound files.
+// Browsers only let audio start from a user gesture, so the engine (gameState.audio) is
+// created on the first key press, click or touch.
+//
+// Graph: voices -> sfx / music bus -> master -> speakers. The volumes are settings, saved
+// per profile under 'littlePrinceAudio': { master, sfx, music } (0-1).
+// - Effects (playSimulationSound): jump (brighter at escape speed), landing thump (louder the
+//   harder the impact), goal and death stingers. Replays sound like the run.
+// - Loops (updateAudio, every frame): the running hum follows the player's angular speed and
+//   the black-hole drone rises as the player gets close to one.
+// - Music: a slow generative pad and arpeggio over AUDIO_MUSIC_CHORDS.
+const AUDIO_SETTINGS_KEY = 'littlePrinceAudio';
+const DEFAULT_AUDIO_VOLUMES = { master: 0.8, sfx: 0.8, music: 0.5 };
+const AUDIO_LAND_FULL_SPEED = 800; // Landing speed (px/s) of the loudest thump
+const AUDIO_DRONE_RANGE = 150; // Distance from a black hole's edge (px) where its drone starts
+const AUDIO_MUSIC_STEP = 0.4; // Seconds per arpeggio step
+const AUDIO_MUSIC_CHORD_STEPS = 16; // Arpeggio steps per chord
+const AUDIO_MUSIC_LOOKAHEAD = 0.3; // Seconds of music scheduled ahead of time
+const AUDIO_MUSIC_CHORDS = [
+    // MIDI notes: Am9, Fmaj7, Cmaj7, G6
+    [57, 64, 67, 71, 72],
+    [53, 60, 64, 67, 69],
+    [48, 55, 59, 64, 67],
+    [55, 62, 64, 67, 71]
+];
+
+function midiToFrequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// Saved volumes on top of the defaults
+function loadAudioVolumes() {
+    const saved = loadFromStorage(AUDIO_SETTINGS_KEY, {});
+    const volumes = Object.assign({}, DEFAULT_AUDIO_VOLUMES);
+    for (const bus in volumes) {
+        if (saved && typeof saved[bus] === 'number' && saved[bus] >= 0 && saved[bus] <= 1) volumes[bus] = saved[bus];
+    }
+    return volumes;
+}
+
+function setupAudio() {
+    const start = () => startAudio();
+    for (const type of ['keydown', 'mousedown', 'touchstart']) {
+        document.addEventListener(type, start, { passive: true });
+    }
+}
+
+// Create the engine (or wake it after the browser suspended it)
+function startAudio() {
+    if (gameState.audio) {
+        if (gameState.audio.context.state === 'suspended') gameState.audio.context.resume();
+        return;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    let context;
+    try {
+        context = new AudioContextClass();
+    } catch (error) {
+        console.warn('Sound is unavailable:', error);
+        return;
+    }
+
+    const master = context.createGain();
+    master.connect(context.destination);
+    const sfx = context.createGain();
+    sfx.connect(master);
+    const music = context.createGain();
+    music.connect(master);
+
+    // One second of white noise, shared by every noisy voice
+    const noise = context.createBuffer(1, context.sampleRate, context.sampleRate);
+    const samples = noise.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+
+    gameState.audio = {
+        context: context,
+        master: master,
+        sfx: sfx,
+        music: music,
+        noise: noise,
+        hum: createAudioLoop(context, sfx, 'sawtooth', 400),
+        drone: createAudioLoop(context, sfx, 'triangle', 300),
+        musicStep: 0, // Arpeggio steps played
+        nextNoteTime: context.currentTime + 0.1 // Context time of the next arpeggio step
+    };
+    applyAudioVolumes();
+}
+
+// Oscillator that plays all the time, heard by raising its gain
+function createAudioLoop(context, bus, type, filterFrequency) {
+    const oscillator = context.createOscillator();
+    oscillator.type = type;
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = filterFrequency;
+    const gain = context.createGain();
+    gain.gain.value = 0;
+
+    oscillator.connect(filter);
+    filter.connect(gain);
+    gain.connect(bus);
+    oscillator.start();
+    return { oscillator: oscillator, filter: filter, gain: gain };
+}
+
+function applyAudioVolumes() {
+    const audio = gameState.audio;
+    if (!audio) return;
+
+    const volumes = gameState.audioVolumes;
+    const now = audio.context.currentTime;
+    audio.master.gain.setTargetAtTime(volumes.master, now, 0.02);
+    audio.sfx.gain.setTargetAtTime(volumes.sfx, now, 0.02);
+    audio.music.gain.setTargetAtTime(volumes.music, now, 0.02);
+}
+
+// Settings slider
+function setAudioVolume(bus, value) {
+    gameState.audioVolumes[bus] = Math.min(1, Math.max(0, parseFloat(value)));
+    saveToStorage(AUDIO_SETTINGS_KEY, gameState.audioVolumes);
+    showAudioSettings();
+    applyAudioVolumes();
+}
+
+function showAudioSettings() {
+    for (const bus in DEFAULT_AUDIO_VOLUMES) {
+        const volume = gameState.audioVolumes[bus];
+        document.getElementById(`${bus}-volume-slider`).value = volume;
+        document.getElementById(`${bus}-volume-value`).textContent = `${Math.round(volume * 100)}%`;
+    }
+}
+
+// One note with a quick attack and an exponential fade. options: { type, frequency,
+// endFrequency (slide to), start (context time), duration, volume, attack, bus }
+function playTone(options) {
+    const audio = gameState.audio;
+    const context = audio.context;
+    const start = options.start || context.currentTime;
+    const attack = options.attack || 0.005;
+
+    const oscillator = context.createOscillator();
+    oscillator.type = options.type || 'sine';
+    oscillator.frequency.setValueAtTime(options.frequency, start);
+    if (options.endFrequency) {
+        oscillator.frequency.exponentialRampToValueAtTime(options.endFrequency, start + options.duration);
+    }
+
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(options.volume, start + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + options.duration);
+
+    oscillator.connect(gain);
+    gain.connect(options.bus || audio.sfx);
+    oscillator.start(start);
+    oscillator.stop(start + options.duration + 0.05);
+}
+
+// Burst of filtered noise. options: { start, duration, volume, filterType, frequency, endFrequency }
+function playNoise(options) {
+    const audio = gameState.audio;
+    const context = audio.context;
+    const start = options.start || context.currentTime;
+
+    const source = context.createBufferSource();
+    source.buffer = audio.noise;
+    const filter = context.createBiquadFilter();
+    filter.type = options.filterType || 'lowpass';
+    filter.frequency.setValueAtTime(options.frequency, start);
+    if (options.endFrequency) {
+        filter.frequency.exponentialRampToValueAtTime(options.endFrequency, start + options.duration);
+    }
+
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(options.volume, start);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + options.duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(audio.sfx);
+    source.start(start, Math.random() * 0.5);
+    source.stop(start + options.duration + 0.05);
+}
+
+// Sound for a simulation event (see showSimulationEffect)
+function playSimulationSound(type, data) {
+    if (!gameState.audio) return;
+
+    if (type === 'jump') {
+        if (data.escape) {
+            // Escape speed: a bright rising sweep with a whoosh
+            playTone({ type: 'sawtooth', frequency: 220, endFrequency: 880, duration: 0.35, volume: 0.12 });
+            playTone({ type: 'square', frequency: 330, endFrequency: 1320, duration: 0.25, volume: 0.05 });
+            playNoise({ duration: 0.4, volume: 0.15, filterType: 'bandpass', frequency: 600, endFrequency: 4000 });
+        } else {
+            // Below it: a soft hop, higher the faster the launch
+            const frequency = 200 + data.speedRatio * 200;
+            playTone({ type: 'sine', frequency: frequency, endFrequency: frequency * 1.8, duration: 0.18, volume: 0.2 });
+        }
+    } else if (type === 'land') {
+        const impact = Math.min(data.speed / AUDIO_LAND_FULL_SPEED, 1);
+        playTone({ type: 'sine', frequency: 90 + impact * 60, endFrequency: 40, duration: 0.15 + impact * 0.2, volume: 0.1 + impact * 0.5 });
+        playNoise({ duration: 0.05 + impact * 0.1, volume: 0.05 + impact * 0.25, frequency: 300 + impact * 900 });
+    } else if (type === 'goal') {
+        // Rising major arpeggio
+        const now = gameState.audio.context.currentTime;
+        [72, 76, 79, 84].forEach((note, i) => {
+            playTone({ type: 'triangle', frequency: midiToFrequency(note), start: now + i * 0.08, duration: 0.5, volume: 0.2 });
+        });
+    } else if (type === 'death') {
+        // Falling into the black hole: a sinking growl
+        playTone({ type: 'sawtooth', frequency: 300, endFrequency: 30, duration: 0.9, volume: 0.2 });
+        playTone({ type: 'sine', frequency: 80, endFrequency: 25, duration: 1.2, volume: 0.4 });
+        playNoise({ duration: 0.8, volume: 0.2, frequency: 2000, endFrequency: 100 });
+    }
+}
+
+// Loops and music, once per frame
+function updateAudio() {
+    const audio = gameState.audio;
+    if (!audio || audio.context.state !== 'running') return;
+
+    const now = audio.context.currentTime;
+    const viewer = gameState.replayViewer;
+    const playing = viewer ? viewer.playing : gameState.gameStarted && !gameState.paused && !isLevelEditorOpen();
+    const player = gameState.player;
+
+    // Running hum: pitch and loudness follow the running speed
+    let humVolume = 0;
+    if (playing && player && player.onPlanet) {
+        const speedRatio = Math.min(Math.abs(player.angularSpeed) / player.baseAngularSpeed, 1);
+        humVolume = speedRatio * 0.08;
+        audio.hum.oscillator.frequency.setTargetAtTime(55 + speedRatio * 110, now, 0.05);
+        audio.hum.filter.frequency.setTargetAtTime(300 + speedRatio * 900, now, 0.05);
+    }
+    audio.hum.gain.gain.setTargetAtTime(humVolume, now, 0.05);
+
+    // Black-hole drone: closest black hole, from silence at AUDIO_DRONE_RANGE to loudest at its edge
+    let proximity = 0;
+    if (playing && player && gameState.currentLevel) {
+        for (const blackHole of gameState.currentLevel.blackHoles) {
+            const dx = player.x - blackHole.x;
+            const dy = player.y - blackHole.y;
+            const clearance = Math.sqrt(dx * dx + dy * dy) - blackHole.radius - player.radius;
+            proximity = Math.max(proximity, 1 - Math.max(clearance, 0) / AUDIO_DRONE_RANGE);
+        }
+    }
+    audio.drone.oscillator.frequency.setTargetAtTime(40 + proximity * 80, now, 0.1);
+    audio.drone.filter.frequency.setTargetAtTime(150 + proximity * 600, now, 0.1);
+    audio.drone.gain.gain.setTargetAtTime(proximity * proximity * 0.3, now, 0.1);
+
+    scheduleMusic();
+}
+
+// Queue the arpeggio steps (and a pad at each chord change) that start within the lookahead
+function scheduleMusic() {
+    const audio = gameState.audio;
+    const context = audio.context;
+
+    // Don't catch up on steps missed while the page was in the background
+    if (audio.nextNoteTime < context.currentTime) audio.nextNoteTime = context.currentTime + 0.05;
+
+    while (audio.nextNoteTime < context.currentTime + AUDIO_MUSIC_LOOKAHEAD) {
+        const start = audio.nextNoteTime;
+        const chord = AUDIO_MUSIC_CHORDS[Math.floor(audio.musicStep / AUDIO_MUSIC_CHORD_STEPS) % AUDIO_MUSIC_CHORDS.length];
+        const chordLength = AUDIO_MUSIC_STEP * AUDIO_MUSIC_CHORD_STEPS;
+
+        if (audio.musicStep % AUDIO_MUSIC_CHORD_STEPS === 0) {
+            for (const note of chord.slice(0, 3)) {
+                playTone({ type: 'triangle', frequency: midiToFrequency(note - 12), start: start, attack: 1.5,
+                    duration: chordLength, volume: 0.04, bus: audio.music });
+            }
+        }
+        // Sparse notes an octave up, more likely on the beat
+        if (Math.random() < (audio.musicStep % 4 === 0 ? 0.8 : 0.35)) {
+            const note = chord[Math.floor(Math.random() * chord.length)] + 12;
+            playTone({ type: 'sine', frequency: midiToFrequency(note), start: start, attack: 0.02,
+                duration: AUDIO_MUSIC_STEP * 3, volume: 0.05, bus: audio.music });
+        }
+
+        audio.musicStep++;
+        audio.nextNoteTime += AUDIO_MUSIC_STEP;
+    }
+}
@@ -0,0 +1,176 @@
+// Camera for worlds larger than the canvas (Level.width / height, see level-format.js).
+// Levels that fit the canvas are drawn as they are. In larger ones the view follows the
+// player, leads the way while flying (so there is time to see where a jump is going) and
+// zooms out when the gravity sources around the player are spread wide.
+//
+// gameState.camera: { x, y, zoom, level, player } - the world point at the canvas center and
+// the scale it is drawn at. A new level or a respawn (new player) moves it there at once.
+// In a wrapping world the camera keeps following across the edges: the world is drawn again
+// next to itself wherever the view goes past one (getCameraWorldOffsets).
+const CAMERA_FOLLOW_RATE = 4; // How fast (1/s) the view catches up with the player
+const CAMERA_ZOOM_RATE = 1.5; // How fast (1/s) the zoom settles
+const CAMERA_LOOK_AHEAD = 0.5; // Seconds of flight the view leads the player by
+const CAMERA_MAX_LOOK_AHEAD = 180; // px
+const CAMERA_ZOOM_RANGE = 400; // Gravity sources this close (px) to the player are kept in view
+const CAMERA_ZOOM_PADDING = 60; // px kept around them
+const CAMERA_MIN_ZOOM = 0.6;
+const CAMERA_MAX_ZOOM = 1.25;
+
+function createCameraState() {
+    return { x: CANVAS_WIDTH / 2, y: CANVAS_HEIGHT / 2, zoom: 1, level: null, player: null };
+}
+
+// Whether the level needs the camera at all
+function isScrollingWorld(level) {
+    return level.width > CANVAS_WIDTH || level.height > CANVAS_HEIGHT;
+}
+
+// Shortest offset along one axis of a world that wraps every `size`
+function wrapWorldDelta(delta, size) {
+    return delta - Math.round(delta / size) * size;
+}
+
+// Call once per frame, after the physics steps
+function updateCamera(deltaTime) {
+    const camera = gameState.camera;
+    const level = gameState.currentLevel;
+    const player = gameState.player;
+    if (!level || !player) return;
+
+    if (!isScrollingWorld(level)) {
+        Object.assign(camera, createCameraState(), { level: level, player: player });
+        return;
+    }
+
+    const target = getCameraTarget(level, player);
+    if (camera.level !== level || camera.player !== player) {
+        Object.assign(camera, target, { level: level, player: player });
+        clampCamera(camera, level);
+        return;
+    }
+
+    // The player came back in at the opposite edge: move the view along with them
+    if (level.wrap) {
+        camera.x = target.x - wrapWorldDelta(target.x - camera.x, level.width);
+        camera.y = target.y - wrapWorldDelta(target.y - camera.y, level.height);
+    }
+
+    // Exponential smoothing on real time, so it feels the same at any frame rate
+    const seconds = deltaTime / 1000;
+    const follow = 1 - Math.exp(-CAMERA_FOLLOW_RATE * seconds);
+    camera.x += (target.x - camera.x) * follow;
+    camera.y += (target.y - camera.y) * follow;
+    camera.zoom += (target.zoom - camera.zoom) * (1 - Math.exp(-CAMERA_ZOOM_RATE * seconds));
+    clampCamera(camera, level);
+}
+
+// Where the camera wants to be: ahead of the player in flight, zoomed to the gravity around them
+function getCameraTarget(level, player) {
+    const position = player.getRenderPosition(gameState.renderAlpha);
+    let aheadX = 0;
+    let aheadY = 0;
+
+    // Velocity from the last physics step (the step across a wrap doesn't count)
+    if (!player.onPlanet && !player.screenWrapped) {
+        const scale = CAMERA_LOOK_AHEAD * 1000 / PHYSICS_TIMESTEP;
+        aheadX = (player.x - player.prevX) * scale;
+        aheadY = (player.y - player.prevY) * scale;
+        const length = Math.sqrt(aheadX * aheadX + aheadY * aheadY);
+        if (length > CAMERA_MAX_LOOK_AHEAD) {
+            aheadX *= CAMERA_MAX_LOOK_AHEAD / length;
+            aheadY *= CAMERA_MAX_LOOK_AHEAD / length;
+        }
+    }
+
+    return { x: position.x + aheadX, y: position.y + aheadY, zoom: getCameraZoom(level, position) };
+}
+
+// Zoom that fits the nearby planets and black holes around the player
+function getCameraZoom(level, position) {
+    let extentX = CANVAS_WIDTH / 2 / CAMERA_MAX_ZOOM;
+    let extentY = CANVAS_HEIGHT / 2 / CAMERA_MAX_ZOOM;
+
+    const sources = level.planets.concat(level.blackHoles);
+    for (const source of sources) {
+        let dx = source.x - position.x;
+        let dy = source.y - position.y;
+        if (level.wrap) {
+            dx = wrapWorldDelta(dx, level.width);
+            dy = wrapWorldDelta(dy, level.height);
+        }
+        if (Math.sqrt(dx * dx + dy * dy) - source.radius > CAMERA_ZOOM_RANGE) continue;
+
+        extentX = Math.max(extentX, Math.abs(dx) + source.radius + CAMERA_ZOOM_PADDING);
+        extentY = Math.max(extentY, Math.abs(dy) + source.radius + CAMERA_ZOOM_PADDING);
+    }
+
+    // Never further out than it takes to see the whole world
+    const fitWorld = Math.min(CANVAS_WIDTH / level.width, CANVAS_HEIGHT / level.height);
+    const zoom = Math.min(CANVAS_WIDTH / 2 / extentX, CANVAS_HEIGHT / 2 / extentY);
+    return Math.min(CAMERA_MAX_ZOOM, Math.max(zoom, CAMERA_MIN_ZOOM, fitWorld));
+}
+
+// Keep the view inside a world that doesn't wrap (centered on it when the world is smaller)
+function clampCamera(camera, level) {
+    if (level.wrap) return;
+
+    const halfWidth = CANVAS_WIDTH / 2 / camera.zoom;
+    const halfHeight = CANVAS_HEIGHT / 2 / camera.zoom;
+    camera.x = halfWidth * 2 >= level.width
+        ? level.width / 2
+        : Math.max(halfWidth, Math.min(level.width - halfWidth, camera.x));
+    camera.y = halfHeight * 2 >= level.height
+        ? level.height / 2
+        : Math.max(halfHeight, Math.min(level.height - halfHeight, camera.y));
+}
+
+// Switch the context from canvas to world coordinates
+function applyCameraTransform(ctx) {
+    const camera = gameState.camera;
+    ctx.translate(CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+    ctx.scale(camera.zoom, camera.zoom);
+    ctx.translate(-camera.x, -camera.y);
+}
+
+// Where to draw copies of a wrapping world so the view never runs off its edge: [{ x, y }, ...]
+function getCameraWorldOffsets() {
+    const camera = gameState.camera;
+    const level = gameState.currentLevel;
+    if (!level.wrap || !isScrollingWorld(level)) return [{ x: 0, y: 0 }];
+
+    const halfWidth = CANVAS_WIDTH / 2 / camera.zoom;
+    const halfHeight = CANVAS_HEIGHT / 2 / camera.zoom;
+    const offsets = [];
+    for (let i = Math.floor((camera.x - halfWidth) / level.width); i <= Math.floor((camera.x + halfWidth) / level.width); i++) {
+        for (let j = Math.floor((camera.y - halfHeight) / level.height); j <= Math.floor((camera.y + halfHeight) / level.height); j++) {
+            offsets.push({ x: i * level.width, y: j * level.height });
+        }
+    }
+    return offsets;
+}
+
+// Canvas position of a world point (its nearest copy in a wrapping world)
+function worldToScreen(x, y) {
+    const camera = gameState.camera;
+    const level = gameState.currentLevel;
+    let dx = x - camera.x;
+    let dy = y - camera.y;
+    if (level.wrap && isScrollingWorld(level)) {
+        dx = wrapWorldDelta(dx, level.width);
+        dy = wrapWorldDelta(dy, level.height);
+    }
+    return { x: CANVAS_WIDTH / 2 + dx * camera.zoom, y: CANVAS_HEIGHT / 2 + dy * camera.zoom };
+}
+
+// Outline of the world: solid where it ends, dashed where it wraps
+function drawWorldBorder(ctx) {
+    const level = gameState.currentLevel;
+    if (level.wrap && !isScrollingWorld(level)) return;
+
+    ctx.save();
+    ctx.strokeStyle = level.wrap ? 'rgba(255, 255, 255, 0.15)' : 'rgba(255, 77, 77, 0.5)';
+    ctx.lineWidth = 2 / gameState.camera.zoom;
+    if (level.wrap) ctx.setLineDash([10, 10]);
+    ctx.strokeRect(0, 0, level.width, level.height);
+    ctx.restore();
+}
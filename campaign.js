@@ -0,0 +1,295 @@
+// Campaign mode: handcrafted levels from bundled level packs, played in order.
+// Each chapter introduces one mechanic; finishing a level unlocks the next one.
+//
+// Level pack JSON (version 1):
+// {
+//   format: 'little-prince-campaign',
+//   version: 1,
+//   id: 'main',                                // key for saved progress
+//   name: 'The Little Prince',
+//   chapters: [{ id, name, description, levels: [{ id, level: <level JSON> }, ...] }, ...]
+// }
+// Level ids must be unique within a pack and stay the same when levels are reordered.
+//
+// Progress is saved under 'littlePrinceCampaign':
+// { packId: { levelId: { time, deaths } } } - best time (ms) and fewest deaths over the level's clears
+const CAMPAIGN_FORMAT = 'little-prince-campaign';
+const CAMPAIGN_FORMAT_VERSION = 1;
+const CAMPAIGN_PACKS = ['levels/campaign.json']; // Bundled packs, in menu order
+
+// Check a level pack. Returns a list of readable problems (empty when valid).
+function validateCampaignPack(pack) {
+    if (!pack || typeof pack !== 'object' || pack.format !== CAMPAIGN_FORMAT) {
+        return [`Not a level pack (format must be "${CAMPAIGN_FORMAT}")`];
+    }
+    if (!Number.isInteger(pack.version) || pack.version < 1 || pack.version > CAMPAIGN_FORMAT_VERSION) {
+        return [`Unsupported level pack version ${pack.version}`];
+    }
+
+    const errors = [];
+    const isText = (value) => typeof value === 'string' && value.length > 0;
+    if (!isText(pack.id)) errors.push('id must be text');
+    if (!isText(pack.name)) errors.push('name must be text');
+    if (!Array.isArray(pack.chapters) || pack.chapters.length === 0) {
+        errors.push('chapters must be a list with at least one chapter');
+        return errors;
+    }
+
+    const levelIds = new Set();
+    pack.chapters.forEach((chapter, c) => {
+        const path = `chapters[${c}]`;
+        if (!chapter || typeof chapter !== 'object') {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        if (!isText(chapter.id)) errors.push(`${path}.id must be text`);
+        if (!isText(chapter.name)) errors.push(`${path}.name must be text`);
+        if (!isText(chapter.description)) errors.push(`${path}.description must be text`);
+        if (!Array.isArray(chapter.levels) || chapter.levels.length === 0) {
+            errors.push(`${path}.levels must be a list with at least one level`);
+            return;
+        }
+
+        chapter.levels.forEach((entry, l) => {
+            const levelPath = `${path}.levels[${l}]`;
+            if (!entry || typeof entry !== 'object' || !isText(entry.id)) {
+                errors.push(`${levelPath}.id must be text`);
+                return;
+            }
+            if (levelIds.has(entry.id)) errors.push(`${levelPath}: duplicate level id "${entry.id}"`);
+            levelIds.add(entry.id);
+
+            for (const error of validateLevelData(entry.level)) {
+                errors.push(`${entry.id}: ${error}`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+// Levels of a validated pack in play order:
+// [{ id, data, chapter, chapterIndex, number (1-based within the chapter), last (ends the chapter) }]
+function getCampaignLevels(pack) {
+    const levels = [];
+    pack.chapters.forEach((chapter, chapterIndex) => {
+        chapter.levels.forEach((entry, i) => {
+            levels.push({
+                id: entry.id,
+                data: entry.level,
+                chapter: chapter,
+                chapterIndex: chapterIndex,
+                number: i + 1,
+                last: i === chapter.levels.length - 1
+            });
+        });
+    });
+    return levels;
+}
+
+function loadCampaignProgress(packId) {
+    const progress = loadFromStorage('littlePrinceCampaign', {});
+    return progress[packId] || {};
+}
+
+// Remember a level clear, keeping the best time and fewest deaths
+function recordCampaignCompletion(packId, levelId, time, deaths) {
+    const progress = loadFromStorage('littlePrinceCampaign', {});
+    const packProgress = progress[packId] || {};
+    const best = packProgress[levelId];
+
+    packProgress[levelId] = best
+        ? { time: Math.min(best.time, time), deaths: Math.min(best.deaths, deaths) }
+        : { time: time, deaths: deaths };
+    progress[packId] = packProgress;
+    saveToStorage('littlePrinceCampaign', progress);
+}
+
+// The first level is always open; every other level opens once the one before it is cleared
+function isCampaignLevelUnlocked(levels, index, progress) {
+    return index === 0 || !!progress[levels[index - 1].id];
+}
+
+function getCampaignCompletedCount(levels, progress) {
+    return levels.filter(level => progress[level.id]).length;
+}
+
+// Fetch and check the bundled packs (on page load). Packs that fail are skipped with a warning.
+function loadCampaignPacks() {
+    gameState.campaignPacks = null;
+
+    const requests = CAMPAIGN_PACKS.map(url => fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        })
+        .then(pack => {
+            const errors = validateCampaignPack(pack);
+            if (errors.length > 0) throw new Error(errors.slice(0, 5).join('; '));
+            return pack;
+        })
+        .catch(error => {
+            console.warn(`Could not load level pack ${url}:`, error.message);
+            return null;
+        }));
+
+    return Promise.all(requests).then(packs => {
+        gameState.campaignPacks = packs.filter(pack => pack !== null);
+        // A saved campaign run can be continued once its pack is here
+        if (!document.getElementById('main-menu').classList.contains('hidden')) updateContinueButton();
+    });
+}
+
+// "3/15 levels" for the mode card
+function getCampaignSummary() {
+    if (!gameState.campaignPacks) return 'Loading...';
+    if (gameState.campaignPacks.length === 0) return 'Unavailable';
+
+    let completed = 0;
+    let total = 0;
+    for (const pack of gameState.campaignPacks) {
+        const levels = getCampaignLevels(pack);
+        completed += getCampaignCompletedCount(levels, loadCampaignProgress(pack.id));
+        total += levels.length;
+    }
+    return `${completed}/${total} levels`;
+}
+
+// Chapter list with a button per level (cleared, open or locked)
+function showCampaignSelect() {
+    hideAllMenus();
+    document.getElementById('campaign-select').classList.remove('hidden');
+
+    const container = document.getElementById('campaign-chapters');
+    container.textContent = '';
+
+    if (!gameState.campaignPacks || gameState.campaignPacks.length === 0) {
+        const message = document.createElement('p');
+        message.className = 'campaign-message';
+        message.textContent = gameState.campaignPacks
+            ? 'The campaign levels could not be loaded. Open the game from a web server to play the campaign.'
+            : 'Loading campaign levels...';
+        container.appendChild(message);
+        return;
+    }
+
+    gameState.campaignPacks.forEach((pack, packIndex) => {
+        const levels = getCampaignLevels(pack);
+        const progress = loadCampaignProgress(pack.id);
+
+        if (gameState.campaignPacks.length > 1) {
+            const title = document.createElement('h3');
+            title.textContent = pack.name;
+            container.appendChild(title);
+        }
+
+        pack.chapters.forEach((chapter, chapterIndex) => {
+            const chapterLevels = levels.filter(level => level.chapterIndex === chapterIndex);
+            const firstIndex = levels.indexOf(chapterLevels[0]);
+
+            const card = document.createElement('div');
+            card.className = 'campaign-chapter';
+            if (!isCampaignLevelUnlocked(levels, firstIndex, progress)) card.classList.add('locked');
+
+            const heading = document.createElement('h4');
+            heading.textContent = `Chapter ${chapterIndex + 1}: ${chapter.name}`;
+            card.appendChild(heading);
+
+            const description = document.createElement('p');
+            description.textContent = chapter.description;
+            card.appendChild(description);
+
+            const buttons = document.createElement('div');
+            buttons.className = 'campaign-levels';
+            chapterLevels.forEach((level, i) => {
+                const index = firstIndex + i;
+                const record = progress[level.id];
+                const button = document.createElement('button');
+                button.className = 'preset-btn';
+                button.textContent = `${chapterIndex + 1}-${level.number}`;
+                button.title = level.data.name || '';
+
+                if (record) {
+                    button.classList.add('complete');
+                    button.title += ` (best ${formatSplitTime(record.time)}, ${record.deaths} death${record.deaths === 1 ? '' : 's'})`;
+                }
+                if (isCampaignLevelUnlocked(levels, index, progress)) {
+                    button.onclick = () => startCampaignLevel(packIndex, index);
+                } else {
+                    button.disabled = true;
+                    button.title += ' (locked)';
+                }
+                buttons.appendChild(button);
+            });
+            card.appendChild(buttons);
+            container.appendChild(card);
+        });
+    });
+}
+
+function startCampaignLevel(packIndex, index) {
+    const pack = gameState.campaignPacks[packIndex];
+    gameState.campaign = {
+        pack: pack,
+        packIndex: packIndex,
+        levels: getCampaignLevels(pack),
+        index: index,
+        levelStartTick: 0,
+        levelStartDeaths: 0
+    };
+    selectMode('campaign', index);
+}
+
+// Load campaign level `index` of the current pack, introducing the chapter on its first level
+function loadCampaignLevel(index) {
+    const campaign = gameState.campaign;
+    const entry = campaign.levels[index];
+    campaign.index = index;
+    campaign.levelStartTick = gameState.simulationTicks;
+    campaign.levelStartDeaths = gameState.deaths;
+    gameState.currentLevelNumber = index + 1;
+
+    loadLevel(levelFromData(entry.data));
+
+    document.getElementById('game-status').textContent = entry.number === 1
+        ? `Chapter ${entry.chapterIndex + 1}: ${entry.chapter.name}. ${entry.chapter.description}`
+        : '';
+}
+
+function getCurrentCampaignLevel() {
+    return gameState.campaign.levels[gameState.campaign.index];
+}
+
+// Save the clear and go on to the next level, or finish the chapter.
+// Returns false when the chapter (and so the run) is over.
+function completeCampaignLevel() {
+    const campaign = gameState.campaign;
+    const entry = getCurrentCampaignLevel();
+    recordCampaignCompletion(
+        campaign.pack.id,
+        entry.id,
+        (gameState.simulationTicks - campaign.levelStartTick) * PHYSICS_TIMESTEP,
+        gameState.deaths - campaign.levelStartDeaths
+    );
+
+    if (!entry.last) {
+        loadCampaignLevel(campaign.index + 1);
+        return true;
+    }
+
+    recordRunResult('complete', finishRecording());
+    gameState.stats.totalTimePlayed += gameState.currentTime;
+    saveToStorage('littlePrinceStats', gameState.stats);
+
+    gameState.gameStarted = false;
+    showCompletionScreen();
+    return false;
+}
+
+// Play the current chapter again from its first level
+function replayCampaignChapter() {
+    const campaign = gameState.campaign;
+    const chapterIndex = getCurrentCampaignLevel().chapterIndex;
+    const first = campaign.levels.findIndex(level => level.chapterIndex === chapterIndex);
+    startCampaignLevel(campaign.packIndex, first);
+}
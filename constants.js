@@ -3,26 +3,53 @@ const CANVAS_WIDTH = 800;
 const CANVAS_HEIGHT = 600;
 const GRAVITY_CONSTANT = 2778000;
 
+// Worlds: levels are CANVAS_WIDTH x CANVAS_HEIGHT and wrap around their edges unless they say
+// otherwise (see level-format.js). In a world that doesn't wrap, flying this far (px) past
+// an edge loses the player in space.
+const WORLD_LOST_MARGIN = 200;
+
+// Fixed-timestep physics: the simulation always advances in steps of this size (ms),
+// so trajectories are identical regardless of display refresh rate
+const PHYSICS_TIMESTEP = 1000 / 120;
+const MAX_FRAME_TIME = 250; // Clamp long frames (tab switch, hitch) to avoid a catch-up spiral
+
+// Default physics settings (speed and gravity sliders)
+const DEFAULT_GAME_SPEED = 1.0;
+const DEFAULT_GRAVITY_MULTIPLIER = 4.2;
+
+// Endless mode: layouts generated per level number to pick the best fit for the difficulty curve
+const ENDLESS_LEVEL_VARIANTS = 3;
+
+// Black hole near misses: a flight passing within this distance (px, edge to edge) of a
+// black hole and then landing safely counts as survived, worth a risk bonus in endless mode
+const BLACK_HOLE_NEAR_MISS_DISTANCE = 30;
+const ENDLESS_NEAR_MISS_BONUS = 500;
+
 // Forward declarations for gameState (will be initialized in game-main.js)
 let gameState = null;
 
-// Safe localStorage operations with error handling
-function safeGetLocalStorage(key, defaultValue = null) {
-    try {
-        const item = localStorage.getItem(key);
-        return item ? JSON.parse(item) : defaultValue;
-    } catch (error) {
-        console.warn(`Failed to load ${key} from localStorage:`, error);
-        return defaultValue;
-    }
+// Lifetime statistics of a new player
+function createDefaultStats() {
+    return {
+        totalDeaths: 0,
+        totalLevelsCompleted: 0,
+        totalTimePlayed: 0,
+        totalJumps: 0,
+        totalLandings: 0,
+        blackHolesSurvived: 0,
+        longestStreak: 0,
+        fastestLevelClear: Infinity,
+        achievements: []
+    };
 }
 
-function safeSetLocalStorage(key, value) {
-    try {
-        localStorage.setItem(key, JSON.stringify(value));
-    } catch (error) {
-        console.warn(`Failed to save ${key} to localStorage:`, error);
-    }
+// Speedrun records per target before any run is finished
+function createDefaultSpeedrunRecords() {
+    return {
+        '10': { time: Infinity, deaths: Infinity, deathlessTime: Infinity },
+        '25': { time: Infinity, deaths: Infinity, deathlessTime: Infinity },
+        '100': { time: Infinity, deaths: Infinity, deathlessTime: Infinity }
+    };
 }
 
 // Validate and sanitize game state
@@ -38,33 +65,46 @@ function validateGameState(gameState) {
         gameState.lives = 3;
     }
     if (!gameState.stats || typeof gameState.stats !== 'object') {
-        gameState.stats = {
-            totalDeaths: 0,
-            totalLevelsCompleted: 0,
-            totalTimePlayed: 0,
-            totalJumps: 0,
-            totalLandings: 0,
-            blackHolesSurvived: 0,
-            longestStreak: 0,
-            achievements: []
-        };
+        gameState.stats = createDefaultStats();
     }
 }
 
-// Get daily challenge seed based on current date
-function getDailyChallengeSeed() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
+// Get daily challenge seed based on a date (today by default)
+function getDailyChallengeSeed(date = new Date()) {
+    const year = date.getFullYear();
+    const month = date.getMonth() + 1;
+    const day = date.getDate();
 
     // Create deterministic seed from date
     return year * 10000 + month * 100 + day;
 }
 
+// Endless and daily challenge score after clearing `levels` levels in `time` ms
+// (also used to check submitted runs, see tools/leaderboard-server.js)
+function calculateRunScore(mode, levels, time, nearMisses) {
+    const seconds = time / 1000;
+
+    // Risk bonus for black hole near misses (endless only)
+    const riskBonus = mode === 'endless' ? nearMisses * ENDLESS_NEAR_MISS_BONUS : 0;
+
+    if (levels === 0 || seconds === 0) return riskBonus;
+
+    // Score formula: (levels × 1000) + (6000 × levels³ / time) + risk bonus
+    const baseScore = levels * 1000;
+    const speedBonus = (6000 * Math.pow(levels, 3)) / seconds;
+
+    return Math.floor(baseScore + speedBonus + riskBonus);
+}
+
 // Swept collision detection: line segment vs circle
 // Prevents tunneling through objects at high speeds
-function lineSegmentIntersectsCircle(x1, y1, x2, y2, cx, cy, radius) {
+// For a moving circle, (circleDx, circleDy) is how far it moved over the same step and
+// (cx, cy) is where it ended up; the test runs in the circle's frame of reference.
+function lineSegmentIntersectsCircle(x1, y1, x2, y2, cx, cy, radius, circleDx = 0, circleDy = 0) {
+    // Relative to the circle, the segment started offset by the circle's movement
+    x1 += circleDx;
+    y1 += circleDy;
+
     // Vector from start to end of movement
     const dx = x2 - x1;
     const dy = y2 - y1;
@@ -102,11 +142,11 @@ function lineSegmentIntersectsCircle(x1, y1, x2, y2, cx, cy, radius) {
     return (t1 >= 0 && t1 <= 1) || (t2 >= 0 && t2 <= 1) || (t1 < 0 && t2 > 1);
 }
 
-// Wrap position around screen edges
-function wrapScreenPosition(entity) {
-    if (entity.x < 0) entity.x = CANVAS_WIDTH;
-    else if (entity.x > CANVAS_WIDTH) entity.x = 0;
+// Wrap position around the edges of a width x height world
+function wrapWorldPosition(entity, width, height) {
+    if (entity.x < 0) entity.x = width;
+    else if (entity.x > width) entity.x = 0;
 
-    if (entity.y < 0) entity.y = CANVAS_HEIGHT;
-    else if (entity.y > CANVAS_HEIGHT) entity.y = 0;
+    if (entity.y < 0) entity.y = height;
+    else if (entity.y > height) entity.y = 0;
 }
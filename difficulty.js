@@ -0,0 +1,136 @@
+// Difficulty rating for generated levels, from 1 (gentle) to 10 (brutal).
+// The level-number tier only sets the generator's ranges; the actual layout decides
+// how hard a level plays, so the rating is measured on the solver's solution:
+// - hops: fewest jumps needed to reach the goal
+// - precision: how few sampled launches work for the hardest jump of the solution
+// - blackHole: how close the working flights pass to black holes
+// - planetSize: how small the planets on the solution are (less runway, smaller targets)
+// Each factor is 0-1; the rating is their weighted sum scaled to 1-10.
+const DIFFICULTY_WEIGHTS = { hops: 0.3, precision: 0.35, blackHole: 0.2, planetSize: 0.15 };
+const DIFFICULTY_BLACK_HOLE_RANGE = 150; // Clearance (px) below which black holes count as a threat
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+// Returns { rating, factors: { hops, precision, blackHole, planetSize } }
+function estimateDifficulty(level) {
+    const estimate = new DifficultyEstimate(level);
+    while (!estimate.result) {
+        estimate.advance(Infinity);
+    }
+    return estimate.result;
+}
+
+// estimateDifficulty a few flights at a time, so it can be spread over several calls
+// (see LevelGenerationJob). `result` is set once the rating is known.
+class DifficultyEstimate {
+    constructor(level) {
+        this.level = level;
+        this.result = null;
+        if (!level.solvable) {
+            this.result = { rating: 10, factors: { hops: 1, precision: 1, blackHole: 1, planetSize: 1 } };
+            return;
+        }
+
+        this.solver = new LevelSolver(level);
+        this.launches = this.solver.getLaunches();
+        this.hop = 0; // Jump of the solution being judged
+        this.hopLaunches = null; // Its launches to try, and how far through them
+        this.launchIndex = 0;
+        this.successes = 0;
+        this.lowestSuccessRatio = 1;
+        this.clearanceTotal = 0;
+        this.clearanceCount = 0;
+    }
+
+    // Simulate at most `maxFlights` more flights. Returns the number simulated.
+    advance(maxFlights) {
+        const level = this.level;
+        const path = level.solution;
+        let flights = 0;
+
+        while (!this.result && flights < maxFlights) {
+            if (this.hop >= path.length) {
+                this.result = this.getRating();
+                break;
+            }
+
+            // With moving planets, judge the jump at the moment the solution takes it
+            if (!this.hopLaunches) {
+                this.hopLaunches = this.launches.filter(launch => launch.time === path[this.hop].time);
+                this.launchIndex = 0;
+                this.successes = 0;
+            }
+            if (this.launchIndex >= this.hopLaunches.length) {
+                this.lowestSuccessRatio = Math.min(this.lowestSuccessRatio, this.successes / this.hopLaunches.length);
+                this.hop++;
+                this.hopLaunches = null;
+                continue;
+            }
+
+            // Where this jump of the solution has to end up
+            const isLastHop = this.hop === path.length - 1;
+            const targetPlanet = isLastHop ? null : path[this.hop + 1].planet;
+            const launch = this.hopLaunches[this.launchIndex++];
+            const trace = level.blackHoles.length > 0 ? [] : null;
+            const result = this.solver.simulateJump(path[this.hop].planet, launch, trace);
+            flights++;
+
+            const success = isLastHop ? result.end === 'goal' : result.end === 'land' && result.planet === targetPlanet;
+            if (!success) continue;
+
+            this.successes++;
+            if (trace) {
+                this.clearanceTotal += getBlackHoleClearance(level, trace);
+                this.clearanceCount++;
+            }
+        }
+        return flights;
+    }
+
+    getRating() {
+        const level = this.level;
+        const path = level.solution;
+
+        // Average radius of the planets the solution runs on
+        let radiusTotal = 0;
+        for (const step of path) {
+            radiusTotal += level.planets[step.planet].radius;
+        }
+        const averageRadius = radiusTotal / path.length;
+
+        const lowestSuccessRatio = this.lowestSuccessRatio;
+        const factors = {
+            hops: clamp01((level.minHops - 1) / 4),
+            // 100% of launches working -> 0, 1% or fewer -> 1 (log scale)
+            precision: lowestSuccessRatio > 0 ? clamp01(-Math.log10(lowestSuccessRatio) / 2) : 1,
+            blackHole: this.clearanceCount > 0 ? clamp01(1 - (this.clearanceTotal / this.clearanceCount) / DIFFICULTY_BLACK_HOLE_RANGE) : 0,
+            planetSize: clamp01((50 - averageRadius) / 40)
+        };
+
+        let weighted = 0;
+        for (const name in DIFFICULTY_WEIGHTS) {
+            weighted += DIFFICULTY_WEIGHTS[name] * factors[name];
+        }
+
+        return { rating: Math.round((1 + 9 * weighted) * 10) / 10, factors: factors };
+    }
+}
+
+// Closest a flight path ([x0, y0, x1, y1, ...]) comes to the edge of any black hole
+function getBlackHoleClearance(level, trace) {
+    let clearance = Infinity;
+    for (const blackHole of level.blackHoles) {
+        for (let i = 0; i < trace.length; i += 2) {
+            const dx = trace[i] - blackHole.x;
+            const dy = trace[i + 1] - blackHole.y;
+            clearance = Math.min(clearance, Math.sqrt(dx * dx + dy * dy) - blackHole.radius);
+        }
+    }
+    return Math.max(0, clearance);
+}
+
+function formatDifficulty(level) {
+    return level.difficulty ? `Difficulty ${level.difficulty.rating.toFixed(1)}` : 'Difficulty ?';
+}
@@ -4,6 +4,17 @@ class Planet {
         this.radius = radius;
         this.x = x;
         this.y = y;
+        this.setGravityStrength(gravityStrength);
+
+        // Motion (see setOrbit): static planets keep these at zero / their position
+        this.orbit = null;
+        this.prevX = x; // Position at the previous physics step (swept landing, interpolation)
+        this.prevY = y;
+        this.vx = 0; // Velocity (pixels/second of game time), inherited by the player on jump
+        this.vy = 0;
+    }
+
+    setGravityStrength(gravityStrength) {
         this.gravityStrength = gravityStrength;
         // Varied colors based on size/gravity
         const hue = 200 + (gravityStrength - 0.5) * 60; // Blue to purple
@@ -11,26 +22,118 @@ class Planet {
         this.highlightColor = `hsl(${hue}, 70%, 70%)`;
     }
 
-    draw(ctx) {
+    // Put the planet on a circular orbit around a fixed point or a parent planet.
+    // orbit: { centerX, centerY } or { parent }, plus radius, angularVelocity (rad/s,
+    // negative = counter-clockwise) and phase (angle at time 0)
+    setOrbit(orbit) {
+        this.orbit = {
+            parent: orbit.parent || null,
+            centerX: orbit.centerX || 0,
+            centerY: orbit.centerY || 0,
+            radius: orbit.radius,
+            angularVelocity: orbit.angularVelocity,
+            phase: orbit.phase || 0
+        };
+        this.setTime(0);
+    }
+
+    get isMoving() {
+        return this.orbit !== null;
+    }
+
+    // Orbit center at `time` (a parent planet may be moving too)
+    getOrbitCenter(time) {
+        const orbit = this.orbit;
+        return orbit.parent ? orbit.parent.getPositionAt(time) : { x: orbit.centerX, y: orbit.centerY };
+    }
+
+    getPositionAt(time) {
+        if (!this.orbit) return { x: this.x, y: this.y };
+
+        const center = this.getOrbitCenter(time);
+        const angle = this.orbit.phase + this.orbit.angularVelocity * time;
+        return {
+            x: center.x + Math.cos(angle) * this.orbit.radius,
+            y: center.y + Math.sin(angle) * this.orbit.radius
+        };
+    }
+
+    getVelocityAt(time) {
+        if (!this.orbit) return { x: 0, y: 0 };
+
+        const parentVelocity = this.orbit.parent ? this.orbit.parent.getVelocityAt(time) : { x: 0, y: 0 };
+        const angle = this.orbit.phase + this.orbit.angularVelocity * time;
+        const speed = this.orbit.angularVelocity * this.orbit.radius;
+        return {
+            x: parentVelocity.x - Math.sin(angle) * speed,
+            y: parentVelocity.y + Math.cos(angle) * speed
+        };
+    }
+
+    // Move to where the planet is at `time` (seconds of game time), remembering where it
+    // was at `previousTime` for swept landing and render interpolation
+    setTime(time, previousTime = time) {
+        if (!this.orbit) return;
+
+        const previous = this.getPositionAt(previousTime);
+        const position = this.getPositionAt(time);
+        const velocity = this.getVelocityAt(time);
+        this.prevX = previous.x;
+        this.prevY = previous.y;
+        this.x = position.x;
+        this.y = position.y;
+        this.vx = velocity.x;
+        this.vy = velocity.y;
+    }
+
+    // Faint outline of the orbit so moving planets are readable
+    drawOrbit(ctx, alpha = 1) {
+        if (!this.orbit) return;
+
+        const center = this.orbit.parent
+            ? this.orbit.parent.getRenderPosition(alpha)
+            : { x: this.orbit.centerX, y: this.orbit.centerY };
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.12)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 8]);
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, this.orbit.radius, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Position between the last two physics steps (alpha 0-1) for smooth rendering
+    getRenderPosition(alpha = 1) {
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha
+        };
+    }
+
+    draw(ctx, alpha = 1) {
+        const { x, y } = this.getRenderPosition(alpha);
+
         ctx.save();
 
         // Draw planet shadow/glow
-        const shadowGradient = ctx.createRadialGradient(this.x, this.y, this.radius * 0.8, this.x, this.y, this.radius * 1.3);
+        const shadowGradient = ctx.createRadialGradient(x, y, this.radius * 0.8, x, y, this.radius * 1.3);
         shadowGradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
         shadowGradient.addColorStop(0.7, 'rgba(0, 0, 0, 0.1)');
         shadowGradient.addColorStop(1, 'rgba(0, 0, 0, 0.3)');
         ctx.fillStyle = shadowGradient;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius * 1.3, 0, 2 * Math.PI);
+        ctx.arc(x, y, this.radius * 1.3, 0, 2 * Math.PI);
         ctx.fill();
 
         // Draw planet with 3D gradient
         const gradient = ctx.createRadialGradient(
-            this.x - this.radius * 0.3,
-            this.y - this.radius * 0.3,
+            x - this.radius * 0.3,
+            y - this.radius * 0.3,
             this.radius * 0.1,
-            this.x,
-            this.y,
+            x,
+            y,
             this.radius
         );
         gradient.addColorStop(0, this.highlightColor);
@@ -39,20 +142,20 @@ class Planet {
 
         ctx.fillStyle = gradient;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, 2 * Math.PI);
+        ctx.arc(x, y, this.radius, 0, 2 * Math.PI);
         ctx.fill();
 
         // Draw subtle rim highlight
         ctx.strokeStyle = `rgba(255, 255, 255, 0.2)`;
         ctx.lineWidth = 2;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius - 1, 0, 2 * Math.PI);
+        ctx.arc(x, y, this.radius - 1, 0, 2 * Math.PI);
         ctx.stroke();
 
         ctx.restore();
     }
 
-    calculateGravity(player) {
+    calculateGravity(player, gravityMultiplier) {
         // Vector from player to planet center
         const dx = this.x - player.x;
         const dy = this.y - player.y;
@@ -64,7 +167,7 @@ class Planet {
 
         // F = G * M * m / r² * gravityMultiplier
         // Softening factor (100) prevents extreme forces at very close range
-        const forceMagnitude = (this.gravityStrength * GRAVITY_CONSTANT * gameState.gravityMultiplier) / (distSquared + 100);
+        const forceMagnitude = (this.gravityStrength * GRAVITY_CONSTANT * gravityMultiplier) / (distSquared + 100);
 
         // Direction: normalize the vector and multiply by force magnitude
         const forceX = forceMagnitude * (dx / distance);
@@ -169,7 +272,7 @@ class BlackHole {
         ctx.restore();
     }
 
-    calculateGravity(player) {
+    calculateGravity(player, gravityMultiplier) {
         // Same as planet but with extreme gravity multiplier
         const dx = this.x - player.x;
         const dy = this.y - player.y;
@@ -178,7 +281,7 @@ class BlackHole {
 
         if (distance < this.radius + 5) return { x: 0, y: 0 };
 
-        const forceMagnitude = (this.gravityStrength * GRAVITY_CONSTANT * gameState.gravityMultiplier) / (distSquared + 100);
+        const forceMagnitude = (this.gravityStrength * GRAVITY_CONSTANT * gravityMultiplier) / (distSquared + 100);
         const forceX = forceMagnitude * (dx / distance);
         const forceY = forceMagnitude * (dy / distance);
 
@@ -203,6 +306,7 @@ class Player {
         this.angle = 0;
         this.radius = 8;
         this.color = '#ffd700';
+        this.onEvent = null; // Optional callback(type, data) for 'land' and 'jump' (effects, stats)
 
         // Angular movement physics (running around planets)
         this.angularSpeed = 0; // Current angular velocity (radians/second)
@@ -227,31 +331,16 @@ class Player {
         }
     }
 
-    updateAngularMovement(keys, dt) {
-        // dt is already scaled by gameSpeed for time dilation
+    emit(type, data) {
+        if (this.onEvent) this.onEvent(type, data);
+    }
 
-        // Calculate target speed based on input
-        let targetSpeed = 0;
-
-        if (keys.left && keys.right) {
-            // Both buttons held: target speed = 0 (braking)
-            targetSpeed = 0;
-        } else if (keys.left) {
-            // Left button: negative max speed
-            targetSpeed = -this.baseAngularSpeed;
-        } else if (keys.right) {
-            // Right button: positive max speed
-            targetSpeed = this.baseAngularSpeed;
-        } else {
-            // No buttons: target speed = 0
-            targetSpeed = 0;
-        }
+    updateAngularMovement(input, dt) {
+        // dt is already scaled by gameSpeed for time dilation
 
-        // Apply mobile input target speed (0-1 multiplier)
-        if (gameState.mobileInput && gameState.mobileInput.targetSpeed > 0) {
-            const mobileDirection = gameState.mobileInput.left ? -1 : 1;
-            targetSpeed = mobileDirection * this.baseAngularSpeed * gameState.mobileInput.targetSpeed;
-        }
+        // Target speed from the action frame: its direction at its throttle (0-1 of max speed).
+        // No direction (nothing held, or braking) slows to a stop.
+        const targetSpeed = input.direction * this.baseAngularSpeed * input.throttle;
 
         // Smooth acceleration towards target speed
         const speedDifference = targetSpeed - this.angularSpeed;
@@ -273,9 +362,10 @@ class Player {
         this.angle += this.angularSpeed * dt;
     }
 
-    updatePhysics(planets, keys, deltaTime = 16.67) {
-        // Convert to seconds and apply time dilation (speed slider)
-        const dt = deltaTime * 0.001 * gameState.gameSpeed;
+    // Advance one physics step. dt is in seconds, already scaled by gameSpeed;
+    // the caller always passes a fixed step (see Simulation.step) so results don't depend on frame rate
+    updatePhysics(level, input, dt, gravityMultiplier) {
+        const planets = level.planets;
 
         // === LANDING PHYSICS ===
         if (!this.onPlanet) {
@@ -299,11 +389,13 @@ class Player {
 
                 // Check swept collision: did we touch planet this frame? (prevents tunneling)
                 if (!shouldLand) {
+                    // Moving planets: test in the planet's frame, using how far it moved this step
                     if (lineSegmentIntersectsCircle(
                         this.prevX, this.prevY,
                         this.x, this.y,
                         planet.x, planet.y,
-                        landingDistance
+                        landingDistance,
+                        planet.x - planet.prevX, planet.y - planet.prevY
                     )) {
                         shouldLand = true;
                     }
@@ -316,15 +408,9 @@ class Player {
                     this.hasJumped = false;
                     this.trail = [];
 
-                    // Track stats
-                    if (gameState.stats) {
-                        gameState.stats.totalLandings++;
-                    }
-
-                    // Landing particle effect
+                    // Notify listeners (stats, landing particles) before velocity is cleared
                     const landSpeed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
-                    const particleCount = Math.min(12, Math.floor(landSpeed / 10) + 4);
-                    createParticleBurst(this.x, this.y, particleCount, 'rgba(255, 215, 0, 1)', 80);
+                    this.emit('land', { x: this.x, y: this.y, speed: landSpeed, planet: planet });
 
                     // Position on surface
                     const surfaceDistance = planet.radius + this.radius;
@@ -342,7 +428,7 @@ class Player {
         // === ON-PLANET PHYSICS ===
         if (this.onPlanet && this.currentPlanet) {
             // Update angular movement (running around planet)
-            this.updateAngularMovement(keys, dt);
+            this.updateAngularMovement(input, dt);
 
             // Keep player on planet surface (performance: calculate once per frame)
             const planet = this.currentPlanet;
@@ -359,22 +445,22 @@ class Player {
             let totalForceY = 0;
 
             for (const planet of planets) {
-                const gravity = planet.calculateGravity(this);
+                const gravity = planet.calculateGravity(this, gravityMultiplier);
                 totalForceX += gravity.x;
                 totalForceY += gravity.y;
             }
 
             // Goal gravity
-            if (gameState.currentLevel.goal) {
-                const goalGravity = gameState.currentLevel.goal.calculateGravity(this);
+            if (level.goal) {
+                const goalGravity = level.goal.calculateGravity(this, gravityMultiplier);
                 totalForceX += goalGravity.x;
                 totalForceY += goalGravity.y;
             }
 
             // Black hole gravity
-            if (gameState.currentLevel.blackHoles) {
-                for (const blackHole of gameState.currentLevel.blackHoles) {
-                    const bhGravity = blackHole.calculateGravity(this);
+            if (level.blackHoles) {
+                for (const blackHole of level.blackHoles) {
+                    const bhGravity = blackHole.calculateGravity(this, gravityMultiplier);
                     totalForceX += bhGravity.x;
                     totalForceY += bhGravity.y;
                 }
@@ -388,11 +474,11 @@ class Player {
             this.x += this.vx * dt;
             this.y += this.vy * dt;
 
-            // Screen wrapping (this invalidates swept collision for this frame)
+            // Wrapping worlds (this invalidates swept collision for this frame)
             this.screenWrapped = false;
             const oldX = this.x;
             const oldY = this.y;
-            wrapScreenPosition(this);
+            if (level.wrap) wrapWorldPosition(this, level.width, level.height);
 
             // If position changed due to wrapping, update prevX/prevY to prevent false swept collisions
             if (this.x !== oldX || this.y !== oldY) {
@@ -438,39 +524,48 @@ class Player {
             const minRadialVelocity = 50; // Minimum push away from planet (pixels/s)
 
             // Set launch velocity: tangential (from running) + radial (push away)
-            this.vx = Math.cos(tangentialAngle) * currentLinearVelocity + Math.cos(radialAngle) * minRadialVelocity;
-            this.vy = Math.sin(tangentialAngle) * currentLinearVelocity + Math.sin(radialAngle) * minRadialVelocity;
-
-            // Visual feedback
-            const speedRatio = Math.abs(this.angularSpeed) / this.baseAngularSpeed;
-            const particleCount = Math.floor(8 + speedRatio * 8);
-            const particleColor = speedRatio >= this.escapeThreshold ? 'rgba(255, 100, 0, 1)' : 'rgba(100, 200, 255, 1)';
-            createParticleBurst(this.x, this.y, particleCount, particleColor, 60);
+            // + the planet's own velocity when it is moving
+            this.vx = Math.cos(tangentialAngle) * currentLinearVelocity + Math.cos(radialAngle) * minRadialVelocity + planet.vx;
+            this.vy = Math.sin(tangentialAngle) * currentLinearVelocity + Math.sin(radialAngle) * minRadialVelocity + planet.vy;
 
             // State change
             this.onPlanet = false;
             this.hasJumped = true;
+
+            // Notify listeners (stats, launch particles)
+            const speedRatio = Math.abs(this.angularSpeed) / this.baseAngularSpeed;
+            this.emit('jump', { x: this.x, y: this.y, speedRatio: speedRatio, escape: speedRatio >= this.escapeThreshold });
         }
     }
 
-    draw(ctx) {
+    // Position between the last two physics steps, for smooth rendering at any refresh rate
+    getRenderPosition(alpha = 1) {
+        return {
+            x: this.prevX + (this.x - this.prevX) * alpha,
+            y: this.prevY + (this.y - this.prevY) * alpha
+        };
+    }
+
+    draw(ctx, alpha = 1) {
+        const { x, y } = this.getRenderPosition(alpha);
+
         // Draw player body with glow effect
         ctx.save();
 
         // Outer glow
-        const gradient = ctx.createRadialGradient(this.x, this.y, 0, this.x, this.y, this.radius * 1.5);
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, this.radius * 1.5);
         gradient.addColorStop(0, this.color);
         gradient.addColorStop(0.7, this.color);
         gradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
         ctx.fillStyle = gradient;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius * 1.5, 0, 2 * Math.PI);
+        ctx.arc(x, y, this.radius * 1.5, 0, 2 * Math.PI);
         ctx.fill();
 
         // Main body
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.x, this.y, this.radius, 0, 2 * Math.PI);
+        ctx.arc(x, y, this.radius, 0, 2 * Math.PI);
         ctx.fill();
 
         if (!this.onPlanet) {
@@ -478,14 +573,14 @@ class Player {
             const speed = Math.sqrt(this.vx * this.vx + this.vy * this.vy);
             if (speed > 10) { // Only show if moving significantly
                 const vectorScale = 0.3; // Scale down for visibility
-                const endX = this.x + this.vx * vectorScale;
-                const endY = this.y + this.vy * vectorScale;
+                const endX = x + this.vx * vectorScale;
+                const endY = y + this.vy * vectorScale;
 
                 // Draw velocity line
                 ctx.strokeStyle = 'rgba(255, 200, 0, 0.7)';
                 ctx.lineWidth = 2;
                 ctx.beginPath();
-                ctx.moveTo(this.x, this.y);
+                ctx.moveTo(x, y);
                 ctx.lineTo(endX, endY);
                 ctx.stroke();
 
@@ -512,6 +607,91 @@ class Player {
     }
 }
 
+// Bump whenever Level.generateLevel produces different layouts (saved replays depend on it)
+const LEVEL_GENERATOR_VERSION = 3;
+const LEVEL_MAX_REROLLS = 10;
+
+// Generated levels by "levelNumber:variant" -> { attempt, solution, difficulty }, so
+// regenerating a level (restart, replays) skips the solver
+const levelSolutionCache = new Map();
+
+// Levels being generated a slice at a time, by "levelNumber:variant" (see Level.prepareLevel)
+const levelGenerationJobs = new Map();
+
+// The work Level.generateLevel does for one level, resumable: layouts are generated and
+// solved (each solver pass in turn) until one is solvable, then that one is rated.
+// Finished levels go into levelSolutionCache.
+// Given a custom level instead (see analyzeCustomLevel), the job solves and rates that layout
+// as it is (no rerolls) and fills in its results, without caching anything.
+class LevelGenerationJob {
+    constructor(levelNumber, variant, customLevel = null) {
+        this.levelNumber = levelNumber;
+        this.variant = variant;
+        this.custom = customLevel !== null;
+        this.attempt = 0;
+        this.level = customLevel; // Layout being solved or rated
+        this.pass = 0; // Index into SOLVER_PASSES
+        this.solver = null; // Solver pass in progress
+        this.solution = null; // Chosen layout's solution, once found
+        this.estimate = null; // Its DifficultyEstimate in progress
+        this.done = false;
+    }
+
+    // Work for at most `maxFlights` simulated jumps. Returns true once the level is generated.
+    run(maxFlights) {
+        let flights = 0;
+
+        while (!this.done && flights < maxFlights) {
+            if (this.estimate) {
+                flights += this.estimate.advance(maxFlights - flights);
+                if (this.estimate.result) this.finish();
+                continue;
+            }
+
+            if (!this.solver) {
+                if (!this.level) this.level = Level._generateAttempt(this.levelNumber, this.variant, this.attempt);
+                this.solver = new LevelSolver(this.level, SOLVER_PASSES[this.pass]);
+            }
+            flights += this.solver.advance(maxFlights - flights);
+            const solution = this.solver.result;
+            if (!solution) continue;
+            this.solver = null;
+
+            if (!solution.solvable && this.pass + 1 < SOLVER_PASSES.length) {
+                // Same layout, finer pass
+                this.pass++;
+            } else if (!solution.solvable && !this.custom && this.attempt < LEVEL_MAX_REROLLS) {
+                // Reroll the layout
+                this.attempt++;
+                this.pass = 0;
+                this.level = null;
+            } else {
+                if (!solution.solvable && !this.custom) {
+                    console.warn(`Level ${this.levelNumber}: no solvable layout after ${LEVEL_MAX_REROLLS} rerolls`);
+                }
+                this.solution = solution;
+                this.level.setSolution(solution, this.attempt);
+                this.estimate = new DifficultyEstimate(this.level);
+            }
+        }
+        return this.done;
+    }
+
+    finish() {
+        this.done = true;
+        if (this.custom) {
+            this.level.difficulty = this.estimate.result;
+            this.level.setTime(0); // The solver leaves moving planets wherever its last flight ended
+            return;
+        }
+        levelSolutionCache.set(`${this.levelNumber}:${this.variant}`, {
+            attempt: this.attempt,
+            solution: this.solution,
+            difficulty: this.estimate.result
+        });
+    }
+}
+
 // Level class
 class Level {
     constructor(planets, startPosition, goalPosition) {
@@ -520,8 +700,22 @@ class Level {
         this.goalPosition = goalPosition;
         this.goalRadius = 20;
         this.blackHoles = [];
+        this.width = CANVAS_WIDTH; // World size; larger worlds scroll with the camera (see camera.js)
+        this.height = CANVAS_HEIGHT;
+        this.wrap = true; // Leaving an edge comes back at the opposite one; otherwise the player gets lost
         this.seed = 0;
+        this.variant = 0; // Alternative layout for the same seed (see Level.generateLevel)
         this.archetype = 'standard'; // Level design pattern
+        this.custom = false; // Built from level JSON (share code, editor) rather than generated
+        this.name = null; // Display name of a custom level
+        this.data = null; // Level JSON a custom level was built from (recorded in replays)
+
+        // Filled in by the solver (see Level.generateLevel)
+        this.solvable = null; // Whether the goal can be reached (null = not checked)
+        this.minHops = null; // Fewest jumps needed to reach the goal
+        this.solution = []; // One shortest solution: [{ planet, angle, speed, time }, ...]
+        this.rerolls = 0; // Unsolvable layouts discarded before this one
+        this.difficulty = null; // Estimated difficulty: { rating (1-10), factors } (see estimateDifficulty)
 
         // Create goal as a gravity-exerting object
         this.goal = {
@@ -530,7 +724,7 @@ class Level {
             radius: this.goalRadius,
             gravityStrength: 0.56, // 0.7 * 0.8 = 0.56 for moderate helpful gravity
 
-            calculateGravity: function(player) {
+            calculateGravity: function(player, gravityMultiplier) {
                 const dx = this.x - player.x;
                 const dy = this.y - player.y;
                 const distSquared = dx * dx + dy * dy;
@@ -538,7 +732,7 @@ class Level {
 
                 if (distance < this.radius + 5) return { x: 0, y: 0 };
 
-                const forceMagnitude = (this.gravityStrength * GRAVITY_CONSTANT * gameState.gravityMultiplier) / (distSquared + 100);
+                const forceMagnitude = (this.gravityStrength * GRAVITY_CONSTANT * gravityMultiplier) / (distSquared + 100);
                 const forceX = forceMagnitude * (dx / distance);
                 const forceY = forceMagnitude * (dy / distance);
 
@@ -547,9 +741,52 @@ class Level {
         };
     }
 
-    static generateLevel(levelNumber) {
+    // Generate a level and make sure it can be won: unsolvable layouts are rerolled
+    // deterministically (attempt 1, 2, ... from the same seed), so a level number always
+    // produces the same level. `variant` picks an alternative layout for the same level
+    // number (endless mode uses it to smooth the difficulty curve).
+    // Solving takes tens to hundreds of ms per layout: levels the game will need soon are
+    // prepared ahead of time (see level-prefetch.js), which makes this instant.
+    static generateLevel(levelNumber, variant = 0) {
+        Level.prepareLevel(levelNumber, variant);
+
+        const cached = levelSolutionCache.get(`${levelNumber}:${variant}`);
+        const level = Level._generateAttempt(levelNumber, variant, cached.attempt);
+        level.setSolution(cached.solution, cached.attempt);
+        level.difficulty = cached.difficulty;
+        return level;
+    }
+
+    // Do at most `maxFlights` simulated jumps of generateLevel's work for a level, carrying on
+    // from earlier calls. Returns true once it is all done (the level is in levelSolutionCache).
+    static prepareLevel(levelNumber, variant = 0, maxFlights = Infinity) {
+        const cacheKey = `${levelNumber}:${variant}`;
+        if (levelSolutionCache.has(cacheKey)) return true;
+
+        let job = levelGenerationJobs.get(cacheKey);
+        if (!job) {
+            job = new LevelGenerationJob(levelNumber, variant);
+            levelGenerationJobs.set(cacheKey, job);
+        }
+        if (!job.run(maxFlights)) return false;
+
+        levelGenerationJobs.delete(cacheKey);
+        return true;
+    }
+
+    // Record the solver's result on the level
+    setSolution(solution, rerolls) {
+        this.solvable = solution.solvable;
+        this.minHops = solution.minHops;
+        this.solution = solution.path;
+        this.rerolls = rerolls;
+    }
+
+    // One generation attempt. Variant 0, attempt 0 uses the level number as the seed;
+    // variants and rerolls offset it.
+    static _generateAttempt(levelNumber, variant, attempt) {
         // Seeded random number generator
-        let randSeed = levelNumber;
+        let randSeed = levelNumber + (variant * (LEVEL_MAX_REROLLS + 1) + attempt) * 7919;
         const random = () => {
             randSeed = (randSeed * 9301 + 49297) % 233280;
             return randSeed / 233280;
@@ -575,7 +812,8 @@ class Level {
                 minSpacing: 140,
                 blackHoleCount: 0,
                 goalHops: random() < 0.5 ? 1 : 2,
-                archetype: random() < 0.7 ? 'simple' : 'binary'
+                archetype: random() < 0.7 ? 'simple' : 'binary',
+                orbitSpeed: 0.2 // Angular speed (rad/s) of moving planets
             };
         } else if (levelNumber <= 30) {
             tier = 'medium';
@@ -585,7 +823,8 @@ class Level {
                 minSpacing: 160,
                 blackHoleCount: 0,
                 goalHops: Math.floor(random() * 2) + 2, // 2-3
-                archetype: ['simple', 'binary', 'gauntlet', 'slingshot'][Math.floor(random() * 4)]
+                archetype: ['simple', 'binary', 'gauntlet', 'slingshot'][Math.floor(random() * 4)],
+                orbitSpeed: 0.3
             };
         } else if (levelNumber <= 50) {
             tier = 'hard';
@@ -595,7 +834,8 @@ class Level {
                 minSpacing: 180,
                 blackHoleCount: 0,
                 goalHops: Math.floor(random() * 2) + 3, // 3-4
-                archetype: ['binary', 'gauntlet', 'slingshot', 'void', 'maze'][Math.floor(random() * 5)]
+                archetype: ['binary', 'gauntlet', 'slingshot', 'void', 'maze', 'orbital'][Math.floor(random() * 6)],
+                orbitSpeed: 0.4
             };
         } else if (levelNumber <= 75) {
             tier = 'expert';
@@ -605,7 +845,8 @@ class Level {
                 minSpacing: 200,
                 blackHoleCount: random() < 0.3 ? 1 : 0, // 30% chance
                 goalHops: Math.floor(random() * 2) + 3, // 3-4
-                archetype: ['gauntlet', 'void', 'maze', 'giant', 'precision'][Math.floor(random() * 5)]
+                archetype: ['gauntlet', 'void', 'maze', 'giant', 'precision', 'orbital'][Math.floor(random() * 6)],
+                orbitSpeed: 0.5
             };
         } else {
             tier = 'master';
@@ -615,12 +856,14 @@ class Level {
                 minSpacing: 220,
                 blackHoleCount: Math.min(Math.floor(levelNumber / 50), 3), // 1-3 black holes
                 goalHops: Math.floor(random() * 3) + 3, // 3-5
-                archetype: ['void', 'maze', 'giant', 'precision', 'chaos'][Math.floor(random() * 5)]
+                archetype: ['void', 'maze', 'giant', 'precision', 'chaos'][Math.floor(random() * 5)],
+                orbitSpeed: 0.6
             };
         }
 
         const level = Level._generateByArchetype(levelNumber, config, random);
         level.seed = levelNumber;
+        level.variant = variant;
         level.archetype = config.archetype;
         return level;
     }
@@ -645,6 +888,8 @@ class Level {
             return Level._generateSlingshot(levelNumber, config, random);
         } else if (archetype === 'chaos') {
             return Level._generateChaos(levelNumber, config, random);
+        } else if (archetype === 'orbital') {
+            return Level._generateOrbital(levelNumber, config, random);
         } else {
             // Default: simple random distribution
             return Level._generateSimple(levelNumber, config, random);
@@ -703,14 +948,20 @@ class Level {
         const centerY = CANVAS_HEIGHT / 2;
         const angle = random() * Math.PI * 2;
 
-        const x1 = centerX + Math.cos(angle) * binarySeparation / 2;
-        const y1 = centerY + Math.sin(angle) * binarySeparation / 2;
-        const x2 = centerX - Math.cos(angle) * binarySeparation / 2;
-        const y2 = centerY - Math.sin(angle) * binarySeparation / 2;
-
         const baseRadius = 35;
-        planets.push(new Planet(binaryRadius1, x1, y1, Math.pow(binaryRadius1 / baseRadius, 3)));
-        planets.push(new Planet(binaryRadius2, x2, y2, Math.pow(binaryRadius2 / baseRadius, 3)));
+        const mass1 = Math.pow(binaryRadius1 / baseRadius, 3);
+        const mass2 = Math.pow(binaryRadius2 / baseRadius, 3);
+
+        // The pair co-rotates around its center of mass (the heavier planet on the smaller orbit)
+        const orbitRadius1 = binarySeparation * mass2 / (mass1 + mass2);
+        const orbitRadius2 = binarySeparation * mass1 / (mass1 + mass2);
+        const angularVelocity = (random() < 0.5 ? -1 : 1) * config.orbitSpeed;
+
+        const planet1 = new Planet(binaryRadius1, centerX, centerY, mass1);
+        const planet2 = new Planet(binaryRadius2, centerX, centerY, mass2);
+        planet1.setOrbit({ centerX: centerX, centerY: centerY, radius: orbitRadius1, angularVelocity: angularVelocity, phase: angle });
+        planet2.setOrbit({ centerX: centerX, centerY: centerY, radius: orbitRadius2, angularVelocity: angularVelocity, phase: angle + Math.PI });
+        planets.push(planet1, planet2);
 
         // Add supporting planets
         const remainingPlanets = config.planetCount[0] - 2 + Math.floor(random() * (config.planetCount[1] - config.planetCount[0]));
@@ -726,9 +977,8 @@ class Level {
 
                 validPosition = true;
                 for (const existing of planets) {
-                    const dx = x - existing.x;
-                    const dy = y - existing.y;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
+                    // Keep clear of the binary pair's whole orbit
+                    const dist = Level._distanceToPlanetPath(x, y, existing);
                     const minDist = existing.radius + radius + config.minSpacing;
                     if (dist < minDist) {
                         validPosition = false;
@@ -934,6 +1184,81 @@ class Level {
         return Level._finalizeLevelGeneration(levelNumber, config, random, planets);
     }
 
+    // Orbital: a heavy central planet with moons circling it, plus planets on small orbits
+    // around fixed points
+    static _generateOrbital(levelNumber, config, random) {
+        const planets = [];
+        const baseRadius = 35;
+
+        const centralRadius = config.sizeRange[1] * 0.5 + random() * config.sizeRange[1] * 0.2;
+        const central = new Planet(
+            centralRadius,
+            CANVAS_WIDTH / 2 + (random() - 0.5) * 120,
+            CANVAS_HEIGHT / 2 + (random() - 0.5) * 60,
+            Math.pow(centralRadius / baseRadius, 3)
+        );
+        planets.push(central);
+
+        // Moons on widening rings, as long as the ring stays on screen
+        const maxRing = Math.min(CANVAS_WIDTH, CANVAS_HEIGHT) / 2 - 20;
+        let ringEdge = centralRadius;
+        for (let i = 0; i < 3; i++) {
+            const radius = config.sizeRange[0] + Math.floor(random() * (config.sizeRange[1] - config.sizeRange[0]) * 0.4);
+            const ringRadius = ringEdge + radius + 60 + random() * 40;
+            if (ringRadius + radius > maxRing) break;
+
+            const moon = new Planet(radius, central.x, central.y, Math.pow(radius / baseRadius, 3));
+            moon.setOrbit({
+                parent: central,
+                radius: ringRadius,
+                angularVelocity: (random() < 0.5 ? -1 : 1) * config.orbitSpeed * (1 - i * 0.25), // Outer moons are slower
+                phase: random() * Math.PI * 2
+            });
+            planets.push(moon);
+            ringEdge = ringRadius + radius;
+        }
+
+        // Planets circling fixed points in the space left around the system
+        const orbiterCount = config.planetCount[0] - planets.length;
+        for (let i = 0; i < orbiterCount; i++) {
+            let attempts = 0;
+            let validPosition = false;
+            let radius, orbitRadius, x, y;
+
+            while (!validPosition && attempts < 100) {
+                radius = config.sizeRange[0] + Math.floor(random() * (config.sizeRange[1] - config.sizeRange[0]) * 0.5);
+                orbitRadius = 30 + random() * 40;
+                const reach = radius + orbitRadius + 15;
+                x = reach + random() * (CANVAS_WIDTH - 2 * reach);
+                y = reach + random() * (CANVAS_HEIGHT - 2 * reach);
+
+                validPosition = true;
+                for (const existing of planets) {
+                    const dist = Level._distanceToPlanetPath(x, y, existing);
+                    if (dist < existing.radius + radius + orbitRadius + config.minSpacing * 0.5) {
+                        validPosition = false;
+                        break;
+                    }
+                }
+                attempts++;
+            }
+
+            if (validPosition) {
+                const planet = new Planet(radius, x, y, Math.pow(radius / baseRadius, 3));
+                planet.setOrbit({
+                    centerX: x,
+                    centerY: y,
+                    radius: orbitRadius,
+                    angularVelocity: (random() < 0.5 ? -1 : 1) * config.orbitSpeed * 1.5,
+                    phase: random() * Math.PI * 2
+                });
+                planets.push(planet);
+            }
+        }
+
+        return Level._finalizeLevelGeneration(levelNumber, config, random, planets);
+    }
+
     // Chaos: Everything random, maximum variety
     static _generateChaos(levelNumber, config, random) {
         const planetCount = config.planetCount[1];
@@ -1009,9 +1334,7 @@ class Level {
         while (attempts < maxAttempts) {
             let collision = false;
             for (const planet of planets) {
-                const dx = goalX - planet.x;
-                const dy = goalY - planet.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
+                const distance = Level._distanceToPlanetPath(goalX, goalY, planet);
                 // Check if goal center is too close to planet center (planet radius + goal radius + buffer)
                 if (distance < planet.radius + goalRadius + minBuffer) {
                     collision = true;
@@ -1068,9 +1391,7 @@ class Level {
 
                 // Check distance from planets
                 for (const planet of planets) {
-                    const dx = x - planet.x;
-                    const dy = y - planet.y;
-                    const dist = Math.sqrt(dx * dx + dy * dy);
+                    const dist = Level._distanceToPlanetPath(x, y, planet);
                     if (dist < planet.radius + 80) {
                         validPosition = false;
                         break;
@@ -1107,6 +1428,85 @@ class Level {
         return level;
     }
 
+    // Move planets on orbits to `time` (seconds of game time since the level started)
+    setTime(time, previousTime = time) {
+        for (const planet of this.planets) {
+            planet.setTime(time, previousTime);
+        }
+    }
+
+    // Whether a point has flown off a world that doesn't wrap (more than WORLD_LOST_MARGIN out)
+    isLost(point) {
+        if (this.wrap) return false;
+        return point.x < -WORLD_LOST_MARGIN || point.x > this.width + WORLD_LOST_MARGIN ||
+            point.y < -WORLD_LOST_MARGIN || point.y > this.height + WORLD_LOST_MARGIN;
+    }
+
+    // Copy of the level with its own planets (orbit parents relinked), for simulating ahead
+    // without moving the planets of the level being played. Everything else is shared.
+    clonePlanets() {
+        const copy = Object.assign(Object.create(Level.prototype), this);
+        copy.planets = this.planets.map(planet => Object.assign(Object.create(Planet.prototype), planet));
+        for (const planet of copy.planets) {
+            if (planet.orbit && planet.orbit.parent) {
+                planet.orbit = Object.assign({}, planet.orbit, { parent: copy.planets[this.planets.indexOf(planet.orbit.parent)] });
+            }
+        }
+        return copy;
+    }
+
+    get hasMovingPlanets() {
+        return this.planets.some(planet => planet.isMoving);
+    }
+
+    // Longest orbital period (seconds) among moving planets, 0 when nothing moves
+    getLongestOrbitPeriod() {
+        let period = 0;
+        for (const planet of this.planets) {
+            if (planet.isMoving && planet.orbit.angularVelocity !== 0) {
+                period = Math.max(period, 2 * Math.PI / Math.abs(planet.orbit.angularVelocity));
+            }
+        }
+        return period;
+    }
+
+    // Closest distance from a point to anywhere a planet's center passes (its orbit ring for
+    // moving planets; generated moons orbit static parents)
+    static _distanceToPlanetPath(x, y, planet) {
+        const center = planet.isMoving ? planet.getOrbitCenter(0) : planet;
+        const dist = Math.sqrt((x - center.x) ** 2 + (y - center.y) ** 2);
+        return planet.isMoving ? Math.abs(dist - planet.orbit.radius) : dist;
+    }
+
+    // Check collision with black holes (instant death)
+    checkBlackHoleCollision(player) {
+        if (this.blackHoles.length === 0) return false;
+
+        for (const blackHole of this.blackHoles) {
+            const combinedRadius = blackHole.radius + player.radius;
+
+            // First check current position
+            const dx = player.x - blackHole.x;
+            const dy = player.y - blackHole.y;
+            const distSquared = dx * dx + dy * dy;
+
+            if (distSquared < combinedRadius * combinedRadius) {
+                return true;
+            }
+
+            // Check swept collision
+            if (lineSegmentIntersectsCircle(
+                player.prevX, player.prevY,
+                player.x, player.y,
+                blackHole.x, blackHole.y,
+                combinedRadius
+            )) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     checkGoal(player) {
         // SWEPT COLLISION: Check if player's movement path intersects goal circle
         // This prevents tunneling through goal at high speeds
@@ -1202,12 +1602,6 @@ class ParticlePool {
             particle.vy += 20 * dt; // Slight gravity effect
             particle.lifetime -= dt;
 
-            // Screen wrapping for particles too
-            if (particle.x < 0) particle.x = CANVAS_WIDTH;
-            else if (particle.x > CANVAS_WIDTH) particle.x = 0;
-            if (particle.y < 0) particle.y = CANVAS_HEIGHT;
-            else if (particle.y > CANVAS_HEIGHT) particle.y = 0;
-
             if (particle.lifetime <= 0) {
                 // Return to pool
                 particle.active = false;
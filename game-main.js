@@ -2,16 +2,90 @@
 
 // Calculate endless mode score
 function calculateEndlessScore() {
-    const levels = gameState.levelsCompleted;
-    const time = gameState.currentTime / 1000; // Convert to seconds
+    return calculateRunScore(gameState.mode, gameState.levelsCompleted, gameState.currentTime, gameState.nearMisses);
+}
+
+// Endless mode: of a few layouts for the level number, play the one closest to the
+// difficulty curve, so runs get harder steadily instead of swinging between archetypes.
+// All of them are generated while the level before is played (see level-prefetch.js).
+function generateEndlessLevel(levelNumber) {
+    const target = getEndlessTargetDifficulty(levelNumber);
+    let best = null;
+
+    for (let variant = 0; variant < ENDLESS_LEVEL_VARIANTS; variant++) {
+        const level = Level.generateLevel(levelNumber, variant);
+        if (!best || Math.abs(level.difficulty.rating - target) < Math.abs(best.difficulty.rating - target)) {
+            best = level;
+        }
+    }
+    return best;
+}
+
+// Target difficulty rating for an endless level: starts gentle, eases towards 7.5
+function getEndlessTargetDifficulty(levelNumber) {
+    return 2.5 + 5 * (1 - Math.exp(-levelNumber / 100));
+}
+
+// Load a level into a fresh simulation with the player at its start
+function loadLevel(level) {
+    if (gameState.recorder) {
+        gameState.recorder.recordLevel(gameState.simulationTicks, level);
+    }
+
+    gameState.currentLevel = level;
+    gameState.simulation = new Simulation(level, {
+        gameSpeed: gameState.gameSpeed,
+        gravityMultiplier: gameState.gravityMultiplier,
+        onEvent: handleSimulationEvent
+    });
+    gameState.player = gameState.simulation.player;
+}
 
-    if (levels === 0 || time === 0) return 0;
+// Put the player back at the start of the current level
+function respawnPlayer() {
+    gameState.simulation.resetPlayer();
+    gameState.player = gameState.simulation.player;
+}
 
-    // Score formula: (levels × 1000) + (6000 × levels³ / time)
-    const baseScore = levels * 1000;
-    const speedBonus = (6000 * Math.pow(levels, 3)) / time;
+// Stats for events reported by the simulation
+function handleSimulationEvent(type, data) {
+    if (type === 'land') {
+        gameState.stats.totalLandings++;
+        checkAchievements('land', data);
+    } else if (type === 'jump') {
+        gameState.stats.totalJumps++;
+        checkAchievements('jump', data);
+    } else if (type === 'nearMiss') {
+        gameState.nearMisses++;
+        gameState.stats.blackHolesSurvived++;
+        checkAchievements('nearMiss', data);
+    }
 
-    return Math.floor(baseScore + speedBonus);
+    showSimulationEffect(type, data);
+}
+
+// Particles, screen shake and sounds for simulation events (live play and replays)
+function showSimulationEffect(type, data) {
+    playSimulationSound(type, data);
+
+    if (type === 'land') {
+        // Landing particle effect
+        const particleCount = Math.min(12, Math.floor(data.speed / 10) + 4);
+        createParticleBurst(data.x, data.y, particleCount, 'rgba(255, 215, 0, 1)', 80);
+    } else if (type === 'jump') {
+        // Launch particles: orange at escape speed, blue below it
+        const particleCount = Math.floor(8 + data.speedRatio * 8);
+        const particleColor = data.escape ? 'rgba(255, 100, 0, 1)' : 'rgba(100, 200, 255, 1)';
+        createParticleBurst(data.x, data.y, particleCount, particleColor, 60);
+    } else if (type === 'death') {
+        createParticleBurst(data.x, data.y, 20, 'rgba(138, 43, 226, 1)', 120);
+        addScreenShake(15, 0.3);
+    } else if (type === 'goal') {
+        createParticleBurst(data.x, data.y, 25, 'rgba(0, 255, 100, 1)', 150);
+        addScreenShake(8, 0.15);
+    } else if (type === 'nearMiss') {
+        createParticleBurst(data.x, data.y, 10, 'rgba(255, 80, 200, 1)', 90);
+    }
 }
 
 // Start game with specific mode
@@ -24,35 +98,50 @@ function startGame(mode, target = null) {
     gameState.currentLevelNumber = 1;
     gameState.startTime = performance.now();
     gameState.currentTime = 0;
+    gameState.simulationTicks = 0;
+    gameState.levelStartTick = 0;
+    gameState.levelStartDeaths = 0;
+    gameState.nearMisses = 0;
+    gameState.physicsAccumulator = 0;
+    gameState.resumedRun = false;
+    document.getElementById('game-status').textContent = '';
+
+    // Race the personal-best replay in speedrun mode
+    gameState.ghost = mode === 'speedrun' ? loadGhost(target || 10) : null;
+    gameState.ghostDelta = null;
+
+    // Record the run's input so it can be replayed
+    const recordTarget = mode === 'speedrun' ? (target || 10) : target;
+    gameState.recorder = new ReplayRecorder(mode, recordTarget);
 
     // Mode-specific setup
     if (mode === 'endless') {
         gameState.lives = 3;
         gameState.score = 0;
-        gameState.currentLevel = Level.generateLevel(1);
+        loadLevel(generateEndlessLevel(1));
     } else if (mode === 'speedrun') {
         gameState.speedrunTarget = target || 10;
         gameState.lives = Infinity; // Infinite lives
-        gameState.currentLevel = Level.generateLevel(1);
+        startSplits(gameState.speedrunTarget);
+        loadLevel(Level.generateLevel(1));
     } else if (mode === 'daily') {
-        const dailySeed = getDailyChallengeSeed();
+        // The day the run starts on: a run that goes past midnight stays on that challenge
+        gameState.dailySeed = getDailyChallengeSeed();
+        gameState.dailyBestScore = loadFromStorage(getDailyScoreKey(gameState.dailySeed), 0);
         gameState.lives = 3;
         gameState.score = 0;
-        gameState.currentLevel = Level.generateLevel(dailySeed);
-        gameState.currentLevelNumber = dailySeed;
+        loadLevel(Level.generateLevel(gameState.dailySeed));
+        gameState.currentLevelNumber = gameState.dailySeed;
     } else if (mode === 'practice') {
         gameState.lives = Infinity;
-        gameState.currentLevel = Level.generateLevel(target || 1);
+        // A custom level (share code) when one was chosen, otherwise a generated level
+        loadLevel(gameState.customLevel || Level.generateLevel(target || 1));
         gameState.currentLevelNumber = target || 1;
+    } else if (mode === 'campaign') {
+        gameState.lives = Infinity;
+        loadCampaignLevel(target || 0);
     }
 
-    // Create player
-    gameState.player = new Player(
-        gameState.currentLevel.startPosition.x,
-        gameState.currentLevel.startPosition.y,
-        gameState.currentLevel.planets[0]
-    );
-
     updateUI();
 
     // Ensure game loop is running
@@ -76,11 +165,18 @@ function updateUI() {
         document.getElementById('score').textContent = `Score: ${gameState.score}`;
         document.getElementById('lives').textContent = `Lives: ${gameState.lives}`;
     } else if (gameState.mode === 'practice') {
-        document.getElementById('score').textContent = `Practice: Level ${gameState.currentLevelNumber}`;
+        const levelName = gameState.customLevel ? gameState.customLevel.name : `Level ${gameState.currentLevelNumber}`;
+        document.getElementById('score').textContent = `Practice: ${levelName} (${formatDifficulty(gameState.currentLevel)})`;
         document.getElementById('lives').textContent = `Deaths: ${gameState.deaths}`;
+    } else if (gameState.mode === 'campaign') {
+        const entry = getCurrentCampaignLevel();
+        document.getElementById('score').textContent = `Campaign: ${entry.data.name || entry.chapter.name}`;
+        document.getElementById('lives').textContent = `Deaths: ${gameState.deaths}`;
+        document.getElementById('level').textContent = `Level: ${entry.chapterIndex + 1}-${entry.number}`;
+        return;
     }
 
-    document.getElementById('level').textContent = `Level: ${gameState.currentLevelNumber}`;
+    document.getElementById('level').textContent = gameState.currentLevel.custom ? 'Level: Custom' : `Level: ${gameState.currentLevelNumber}`;
 }
 
 // Handle level completion based on mode
@@ -88,7 +184,34 @@ function handleLevelComplete() {
     gameState.levelsCompleted++;
     gameState.stats.totalLevelsCompleted++;
 
+    // Time on this level since first entering it (restarts and deaths included)
+    const levelTime = (gameState.simulationTicks - gameState.levelStartTick) * PHYSICS_TIMESTEP;
+    gameState.stats.fastestLevelClear = Math.min(gameState.stats.fastestLevelClear, levelTime);
+
+    checkAchievements('levelComplete', {
+        mode: gameState.mode,
+        target: gameState.mode === 'speedrun' ? gameState.speedrunTarget : null,
+        levelNumber: gameState.currentLevelNumber,
+        custom: gameState.currentLevel.custom,
+        runLevels: gameState.levelsCompleted,
+        runDeaths: gameState.deaths,
+        runTime: gameState.currentTime,
+        levelTime: levelTime,
+        levelDeaths: gameState.deaths - gameState.levelStartDeaths,
+        score: gameState.mode === 'endless' || gameState.mode === 'daily' ? calculateEndlessScore() : null
+    });
+
+    // Compare against the ghost's split for this level and start timing the next one
+    if (gameState.ghost) {
+        const ghostSplit = gameState.ghost.getSplitTime(gameState.levelsCompleted - 1);
+        gameState.ghostDelta = ghostSplit === null ? null : gameState.currentTime - ghostSplit;
+    }
+    gameState.levelStartTick = gameState.simulationTicks;
+    gameState.levelStartDeaths = gameState.deaths;
+
     if (gameState.mode === 'speedrun') {
+        recordSplit();
+
         if (gameState.levelsCompleted >= gameState.speedrunTarget) {
             // Speedrun complete!
             completeSpeedrun();
@@ -96,43 +219,69 @@ function handleLevelComplete() {
         }
         // Load next sequential level
         gameState.currentLevelNumber++;
-        gameState.currentLevel = Level.generateLevel(gameState.currentLevelNumber);
+        loadLevel(Level.generateLevel(gameState.currentLevelNumber));
     } else if (gameState.mode === 'endless') {
-        // Random next level
+        // Next level, picked to follow the difficulty curve
         gameState.currentLevelNumber++;
-        gameState.currentLevel = Level.generateLevel(gameState.currentLevelNumber);
+        loadLevel(generateEndlessLevel(gameState.currentLevelNumber));
 
         // Update high score
         gameState.score = calculateEndlessScore();
         if (gameState.score > gameState.highScore) {
             gameState.highScore = gameState.score;
-            safeSetLocalStorage('littlePrinceHighScore', gameState.highScore);
+            saveToStorage('littlePrinceHighScore', gameState.highScore);
         }
     } else if (gameState.mode === 'daily') {
         // Daily challenge: fixed progression
         gameState.currentLevelNumber++;
-        gameState.currentLevel = Level.generateLevel(getDailyChallengeSeed() + gameState.levelsCompleted);
+        loadLevel(Level.generateLevel(gameState.dailySeed + gameState.levelsCompleted));
 
         gameState.score = calculateEndlessScore();
         if (gameState.score > gameState.dailyBestScore) {
             gameState.dailyBestScore = gameState.score;
-            const dailyKey = `littlePrinceDaily_${getDailyChallengeSeed()}`;
-            safeSetLocalStorage(dailyKey, gameState.score);
+            saveToStorage(getDailyScoreKey(gameState.dailySeed), gameState.score);
         }
     } else if (gameState.mode === 'practice') {
-        // Practice: just go to next level
-        gameState.currentLevelNumber++;
-        gameState.currentLevel = Level.generateLevel(gameState.currentLevelNumber);
+        if (gameState.customLevel) {
+            // Custom level: play it again
+            loadLevel(gameState.customLevel);
+        } else {
+            // Practice: just go to next level
+            gameState.currentLevelNumber++;
+            loadLevel(Level.generateLevel(gameState.currentLevelNumber));
+        }
+    } else if (gameState.mode === 'campaign') {
+        // Next level of the chapter, or the chapter is done
+        if (!completeCampaignLevel()) return;
     }
 
-    // Create new player
-    gameState.player = new Player(
-        gameState.currentLevel.startPosition.x,
-        gameState.currentLevel.startPosition.y,
-        gameState.currentLevel.planets[0]
-    );
-
     updateUI();
+    saveRun();
+}
+
+// Stop recording the current run and keep it as the latest replay
+function finishRecording() {
+    // The run is over, so there is nothing left to continue
+    clearSavedRun();
+    if (!gameState.recorder) return null;
+
+    const replay = gameState.recorder.finish(gameState.simulationTicks, {
+        levelsCompleted: gameState.levelsCompleted,
+        deaths: gameState.deaths,
+        time: gameState.currentTime,
+        score: gameState.score
+    });
+    gameState.recorder = null;
+    saveReplay('last', replay);
+    return replay;
+}
+
+// Ghost of the personal-best run for a speedrun target, if its replay is still playable
+// (cheap: its levels are simulated as the race reaches them)
+function loadGhost(target) {
+    const replay = loadReplay(`speedrun${target}`);
+    if (!replay || !ReplayRunner.isCompatible(replay)) return null;
+    return new Ghost(replay);
 }
 
 // Complete speedrun
@@ -141,27 +290,36 @@ function completeSpeedrun() {
     const finalDeaths = gameState.deaths;
     const target = gameState.speedrunTarget;
 
-    // Check if new record
+    const replay = finishRecording();
+    recordRunResult('complete', replay);
+
+    // Check if new record (resumed runs can't set records)
     const current = gameState.speedrunRecords[target.toString()];
     let newRecord = false;
 
-    if (finalDeaths === 0 && finalTime < current.deathlessTime) {
-        current.deathlessTime = finalTime;
-        newRecord = true;
-    }
+    if (!gameState.resumedRun) {
+        if (finalDeaths === 0 && finalTime < current.deathlessTime) {
+            current.deathlessTime = finalTime;
+            newRecord = true;
+        }
 
-    if (finalTime < current.time || (finalTime === current.time && finalDeaths < current.deaths)) {
-        current.time = finalTime;
-        current.deaths = finalDeaths;
-        newRecord = true;
+        if (finalTime < current.time || (finalTime === current.time && finalDeaths < current.deaths)) {
+            current.time = finalTime;
+            current.deaths = finalDeaths;
+            newRecord = true;
+
+            // Keep the replay and splits of how the record was set
+            saveReplay(`speedrun${target}`, replay);
+            saveSplitsAsPersonalBest();
+        }
     }
 
-    // Save to localStorage
-    safeSetLocalStorage('littlePrinceSpeedrun', gameState.speedrunRecords);
+    // Save records
+    saveToStorage('littlePrinceSpeedrun', gameState.speedrunRecords);
 
     // Save total time played
     gameState.stats.totalTimePlayed += gameState.currentTime;
-    safeSetLocalStorage('littlePrinceStats', gameState.stats);
+    saveToStorage('littlePrinceStats', gameState.stats);
 
     // Show completion screen
     gameState.gameStarted = false;
@@ -170,16 +328,19 @@ function completeSpeedrun() {
     // Update title if new record
     if (newRecord) {
         document.getElementById('completion-title').textContent = 'NEW RECORD!';
+    } else if (gameState.resumedRun) {
+        document.getElementById('completion-title').textContent = 'Speedrun Complete (Resumed)';
     }
 }
 
-// Handle player death based on mode
-function handlePlayerDeath() {
+// Handle player death based on mode. cause: 'blackHole' or 'lost' (see Simulation)
+function handlePlayerDeath(cause) {
     gameState.deaths++;
     gameState.stats.totalDeaths++;
 
-    // Save stats to localStorage
-    safeSetLocalStorage('littlePrinceStats', gameState.stats);
+    // Save stats
+    saveToStorage('littlePrinceStats', gameState.stats);
+    checkAchievements('death', { mode: gameState.mode, runDeaths: gameState.deaths, cause: cause });
 
     if (gameState.mode === 'endless' || gameState.mode === 'daily') {
         gameState.lives--;
@@ -190,12 +351,14 @@ function handlePlayerDeath() {
             // Update longest streak
             if (gameState.levelsCompleted > gameState.stats.longestStreak) {
                 gameState.stats.longestStreak = gameState.levelsCompleted;
-                safeSetLocalStorage('littlePrinceStats', gameState.stats);
+                saveToStorage('littlePrinceStats', gameState.stats);
             }
 
             // Save total time played
             gameState.stats.totalTimePlayed += gameState.currentTime;
-            safeSetLocalStorage('littlePrinceStats', gameState.stats);
+            saveToStorage('littlePrinceStats', gameState.stats);
+
+            recordRunResult('gameOver', finishRecording());
 
             // Show completion screen
             showCompletionScreen();
@@ -205,119 +368,104 @@ function handlePlayerDeath() {
     }
 
     // Reset player (infinite lives in speedrun/practice)
-    gameState.player = new Player(
-        gameState.currentLevel.startPosition.x,
-        gameState.currentLevel.startPosition.y,
-        gameState.currentLevel.planets[0]
-    );
+    respawnPlayer();
 
     updateUI();
     return true; // Continue
 }
 
 
+// Advance the simulation by one fixed physics step
+function update() {
+    // Every step reads a frame, so presses made in a menu don't carry over into play
+    const frame = gameState.input.readFrame();
 
-// Check collision with black holes (instant death)
-function checkBlackHoleCollision(player, blackHoles) {
-    if (!blackHoles || blackHoles.length === 0) return false;
-
-    const px = player.x;
-    const py = player.y;
-    const pr = player.radius;
-
-    for (const blackHole of blackHoles) {
-        const combinedRadius = blackHole.radius + pr;
-
-        // First check current position
-        const dx = px - blackHole.x;
-        const dy = py - blackHole.y;
-        const distSquared = dx * dx + dy * dy;
-        const radiusSquared = combinedRadius * combinedRadius;
-
-        if (distSquared < radiusSquared) {
-            return true;
-        }
-
-        // Check swept collision
-        if (lineSegmentIntersectsCircle(
-            player.prevX, player.prevY,
-            player.x, player.y,
-            blackHole.x, blackHole.y,
-            combinedRadius
-        )) {
-            return true;
+    if (gameState.replayViewer) {
+        if (frame.pause) {
+            exitReplayViewer();
+        } else {
+            stepReplayViewer();
         }
+        return;
     }
-    return false;
-}
+    if (!gameState.gameStarted) return;
 
-// Update game state
-function update(deltaTime) {
-    if (!gameState.gameStarted || gameState.paused) {
-        // Still update particles and screen shake even when paused
-        if (gameState.particlePool) {
-            const particleDt = deltaTime * 0.001 * gameState.gameSpeed;
-            gameState.particlePool.update(particleDt);
+    if (frame.pause) {
+        if (gameState.paused) {
+            resumeGame();
+        } else {
+            pauseGame();
         }
-        updateScreenShake(deltaTime * 0.001 * gameState.gameSpeed);
         return;
     }
+    if (gameState.paused) return;
 
-    // Update timer (real-world time, not affected by game speed)
-    gameState.currentTime = performance.now() - gameState.startTime;
-    updateTimerDisplay();
-
-    // Store previous position BEFORE physics update for swept collision detection
-    gameState.player.prevX = gameState.player.x;
-    gameState.player.prevY = gameState.player.y;
-
-    // Update mobile input state
-    updateMobileInput();
+    if (frame.restart) {
+        loadLevel(gameState.currentLevel);
+        gameState.particlePool.clear();
+    }
 
-    // Combine keyboard and mobile input
-    const combinedKeys = {
-        left: gameState.keys.left || gameState.mobileInput.left,
-        right: gameState.keys.right || gameState.mobileInput.right
-    };
+    // Presses that can't jump (in flight) aren't recorded
+    const player = gameState.player;
+    const input = Object.assign({}, frame, { jump: frame.jump && player.onPlanet && !player.hasJumped });
 
-    gameState.player.updatePhysics(gameState.currentLevel.planets, combinedKeys, deltaTime);
+    // Settings sliders may change mid-run
+    const simulation = gameState.simulation;
+    simulation.gameSpeed = gameState.gameSpeed;
+    simulation.gravityMultiplier = gameState.gravityMultiplier;
 
-    // Update black holes
-    if (gameState.currentLevel.blackHoles) {
-        const bhDt = deltaTime * 0.001 * gameState.gameSpeed;
-        for (const blackHole of gameState.currentLevel.blackHoles) {
-            blackHole.update(bhDt);
-        }
+    if (gameState.recorder) {
+        const tick = gameState.simulationTicks;
+        gameState.recorder.recordSettings(tick, gameState.gameSpeed, gameState.gravityMultiplier);
+        gameState.recorder.recordInput(tick, input);
     }
 
-    // Update particles using pool (use scaled delta time for visual consistency)
-    const particleDt = deltaTime * 0.001 * gameState.gameSpeed;
-    gameState.particlePool.update(particleDt);
-
-    // Update screen shake
-    updateScreenShake(particleDt);
+    const status = simulation.step(input);
 
-    // Check black hole collisions (instant death)
-    if (checkBlackHoleCollision(gameState.player, gameState.currentLevel.blackHoles)) {
-        // Create death particle effect
-        createParticleBurst(gameState.player.x, gameState.player.y, 20, 'rgba(138, 43, 226, 1)', 120);
-        addScreenShake(15, 0.3);
+    // Timer counts simulated steps, so run times don't depend on frame rate or pauses
+    gameState.simulationTicks++;
+    gameState.currentTime = gameState.simulationTicks * PHYSICS_TIMESTEP;
 
-        handlePlayerDeath();
-        return; // Don't check other collisions this frame
+    if (status === 'dead') {
+        handlePlayerDeath(simulation.level.isLost(simulation.player) ? 'lost' : 'blackHole');
+    } else if (status === 'complete') {
+        handleLevelComplete();
     }
+}
 
+// Update per-frame visuals (particles, black hole animation, HUD) with the real frame time
+function updateEffects(deltaTime) {
+    const effectsDt = deltaTime * 0.001 * gameState.gameSpeed;
 
+    // Particles and screen shake keep animating even when paused
+    if (gameState.particlePool) {
+        gameState.particlePool.update(effectsDt);
+    }
+    updateScreenShake(effectsDt);
 
-    // Check goal
-    if (gameState.currentLevel.checkGoal(gameState.player)) {
-        // Success particle effect
-        createParticleBurst(gameState.player.x, gameState.player.y, 25, 'rgba(0, 255, 100, 1)', 150);
-        addScreenShake(8, 0.15);
+    if (gameState.replayViewer) {
+        updateReplayHUD();
+    } else if (isLevelEditorOpen()) {
+        for (const blackHole of gameState.levelEditor.level.blackHoles) {
+            blackHole.update(effectsDt);
+        }
+        return;
+    } else if (!gameState.gameStarted || gameState.paused) {
+        return;
+    }
 
-        handleLevelComplete();
+    // Update black holes
+    if (gameState.currentLevel.blackHoles) {
+        for (const blackHole of gameState.currentLevel.blackHoles) {
+            blackHole.update(effectsDt);
+        }
     }
 
+    if (gameState.replayViewer) return;
+
+    updateTimerDisplay();
+    updateGhostDeltaDisplay();
+
     // Update score display in real-time for endless/daily modes
     if (gameState.mode === 'endless' || gameState.mode === 'daily') {
         updateUI();
@@ -326,6 +474,11 @@ function update(deltaTime) {
 
 // Render game
 function render() {
+    if (gameState.ctx && isLevelEditorOpen()) {
+        drawLevelEditor(gameState.ctx);
+        return;
+    }
+
     // Always render if we have a valid context and level
     if (!gameState.ctx || !gameState.currentLevel) return;
 
@@ -338,15 +491,41 @@ function render() {
 
     gameState.ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
 
-    // Draw planets
-    for (const planet of gameState.currentLevel.planets) {
-        planet.draw(gameState.ctx);
+    // World coordinates from here, drawn once more next to itself where a wrapping world's edge is in view
+    applyCameraTransform(gameState.ctx);
+    for (const offset of getCameraWorldOffsets()) {
+        gameState.ctx.save();
+        gameState.ctx.translate(offset.x, offset.y);
+        drawWorld();
+        gameState.ctx.restore();
     }
 
-    // Draw gravitational force lines from player to planets
-    drawGravityLines(gameState.ctx, gameState.currentLevel.planets, gameState.player);
+    gameState.ctx.restore();
 
+    // Draw goal indicator (always on top, not affected by screen shake)
+    if (gameState.gameStarted || gameState.replayViewer) {
+        drawGoalIndicator(gameState.ctx);
+        drawMobileJoystick(gameState.ctx);
+        drawSpeedIndicator(gameState.ctx);
+        drawSplitPanel(gameState.ctx);
+    }
+    drawAchievementToast(gameState.ctx);
+}
 
+// Draw the level, the player and everything moving in it (in world coordinates)
+function drawWorld() {
+    drawWorldBorder(gameState.ctx);
+
+    // Draw planets (orbit paths first, then planets interpolated like the player)
+    for (const planet of gameState.currentLevel.planets) {
+        planet.drawOrbit(gameState.ctx, gameState.renderAlpha);
+    }
+    for (const planet of gameState.currentLevel.planets) {
+        planet.draw(gameState.ctx, gameState.renderAlpha);
+    }
+
+    // Draw gravitational force lines from player to planets
+    drawGravityLines(gameState.ctx, gameState.currentLevel.planets, gameState.player, gameState.renderAlpha);
 
     // Draw black holes
     if (gameState.currentLevel.blackHoles) {
@@ -355,26 +534,26 @@ function render() {
         }
     }
 
+    // Draw the personal-best ghost at the same point in this level
+    if (gameState.ghost && gameState.gameStarted) {
+        const levelTick = gameState.simulationTicks - gameState.levelStartTick;
+        gameState.ghost.draw(gameState.ctx, gameState.levelsCompleted, levelTick, gameState.renderAlpha);
+    }
+
     // Draw player trail
     drawPlayerTrail(gameState.ctx, gameState.player.trail);
 
+    // Draw predicted jump path (assist)
+    drawTrajectoryPrediction(gameState.ctx);
+
     // Draw particles using pool
     gameState.particlePool.draw(gameState.ctx);
 
-    // Draw player
-    gameState.player.draw(gameState.ctx);
+    // Draw player (interpolated between physics steps)
+    gameState.player.draw(gameState.ctx, gameState.renderAlpha);
 
     // Draw goal with pulsing animation
     drawGoal(gameState.ctx, gameState.currentLevel.goalPosition.x, gameState.currentLevel.goalPosition.y, gameState.lastFrameTime);
-
-    gameState.ctx.restore();
-
-    // Draw goal indicator (always on top, not affected by screen shake)
-    if (gameState.gameStarted) {
-        drawGoalIndicator(gameState.ctx);
-        drawMobileJoystick(gameState.ctx);
-        drawSpeedIndicator(gameState.ctx);
-    }
 }
 
 // Draw animated goal
@@ -436,11 +615,14 @@ function drawGoal(ctx, x, y, time) {
 }
 
 // Draw gravitational force lines from player to planets (and goal)
-function drawGravityLines(ctx, planets, player) {
+function drawGravityLines(ctx, planets, player, renderAlpha = 1) {
     if (player.onPlanet) return; // Don't show lines when landed on a planet
 
     ctx.save();
 
+    // Lines start at the interpolated (drawn) player position
+    const playerPos = player.getRenderPosition(renderAlpha);
+
     // Helper function to draw gravity line
     const drawGravityLine = (gravitySource, forceMag) => {
         // Only show lines for sources with measurable gravitational pull
@@ -465,7 +647,7 @@ function drawGravityLines(ctx, planets, player) {
 
             // Draw line from player to gravity source center
             ctx.beginPath();
-            ctx.moveTo(player.x, player.y);
+            ctx.moveTo(playerPos.x, playerPos.y);
             ctx.lineTo(gravitySource.x, gravitySource.y);
             ctx.stroke();
 
@@ -481,7 +663,7 @@ function drawGravityLines(ctx, planets, player) {
                 ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha * 0.8})`;
                 const playerIndicatorRadius = 1 + forceScale * 3;
                 ctx.beginPath();
-                ctx.arc(player.x, player.y, playerIndicatorRadius, 0, 2 * Math.PI);
+                ctx.arc(playerPos.x, playerPos.y, playerIndicatorRadius, 0, 2 * Math.PI);
                 ctx.fill();
             }
         }
@@ -489,14 +671,14 @@ function drawGravityLines(ctx, planets, player) {
 
     // Draw gravity lines for planets
     for (const planet of planets) {
-        const gravity = planet.calculateGravity(player);
+        const gravity = planet.calculateGravity(player, gameState.gravityMultiplier);
         const forceMag = Math.sqrt(gravity.x * gravity.x + gravity.y * gravity.y);
         drawGravityLine(planet, forceMag);
     }
 
     // Draw gravity line for goal if it has gravitational influence
     if (gameState.currentLevel.goal) {
-        const goalGravity = gameState.currentLevel.goal.calculateGravity(player);
+        const goalGravity = gameState.currentLevel.goal.calculateGravity(player, gameState.gravityMultiplier);
         const goalForceMag = Math.sqrt(goalGravity.x * goalGravity.x + goalGravity.y * goalGravity.y);
         drawGravityLine(gameState.currentLevel.goal, goalForceMag);
     }
@@ -504,7 +686,7 @@ function drawGravityLines(ctx, planets, player) {
     // Draw gravity lines for black holes (use purple/red color for danger)
     if (gameState.currentLevel.blackHoles) {
         for (const blackHole of gameState.currentLevel.blackHoles) {
-            const bhGravity = blackHole.calculateGravity(player);
+            const bhGravity = blackHole.calculateGravity(player, gameState.gravityMultiplier);
             const bhForceMag = Math.sqrt(bhGravity.x * bhGravity.x + bhGravity.y * bhGravity.y);
 
             if (bhForceMag > 0.1) {
@@ -517,7 +699,7 @@ function drawGravityLines(ctx, planets, player) {
                 ctx.lineWidth = lineWidth;
 
                 ctx.beginPath();
-                ctx.moveTo(player.x, player.y);
+                ctx.moveTo(playerPos.x, playerPos.y);
                 ctx.lineTo(blackHole.x, blackHole.y);
                 ctx.stroke();
 
@@ -537,6 +719,57 @@ function drawGravityLines(ctx, planets, player) {
     ctx.restore();
 }
 
+// Trajectory preview is an assist: off in speedrun and daily unless enabled for them too
+function isTrajectoryPreviewEnabled() {
+    if (!gameState.trajectoryPreview) return false;
+    if (gameState.mode === 'speedrun' || gameState.mode === 'daily') {
+        return gameState.trajectoryInCompetitive;
+    }
+    return true;
+}
+
+// Draw where the player would fly if they jumped now, until the first landing, goal or black hole
+function drawTrajectoryPrediction(ctx) {
+    if (!gameState.gameStarted || !gameState.simulation || !isTrajectoryPreviewEnabled()) return;
+    if (!gameState.player.onPlanet) return;
+
+    const horizonTicks = Math.round(gameState.trajectoryHorizon * 1000 / PHYSICS_TIMESTEP);
+    const prediction = gameState.simulation.predictJump(horizonTicks);
+    const points = prediction.points;
+    if (points.length < 4) return;
+
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 6]);
+    ctx.beginPath();
+    ctx.moveTo(points[0], points[1]);
+    for (let i = 2; i < points.length; i += 2) {
+        // Break the line where the path wraps around the world
+        if (Math.abs(points[i] - points[i - 2]) > gameState.currentLevel.width / 2 ||
+            Math.abs(points[i + 1] - points[i - 1]) > gameState.currentLevel.height / 2) {
+            ctx.moveTo(points[i], points[i + 1]);
+        } else {
+            ctx.lineTo(points[i], points[i + 1]);
+        }
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Mark how the path ends
+    if (prediction.end) {
+        const endX = points[points.length - 2];
+        const endY = points[points.length - 1];
+        const colors = { land: '#00ff64', goal: '#ffd700', blackHole: '#ff4d4d', lost: '#ff4d4d' };
+        ctx.strokeStyle = colors[prediction.end];
+        ctx.beginPath();
+        ctx.arc(endX, endY, 6, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
 // Draw player trail
 function drawPlayerTrail(ctx, trail) {
     if (trail.length < 2) return;
@@ -599,6 +832,37 @@ function updateTimerDisplay() {
     document.getElementById('timer').textContent = `Time: ${minutes}:${seconds.toString().padStart(2, '0')}.${tenths}`;
 }
 
+// Show the split difference against the ghost next to the timer
+function updateGhostDeltaDisplay() {
+    const element = document.getElementById('ghost-delta');
+    const ghost = gameState.ghost;
+    if (!ghost) {
+        element.textContent = '';
+        return;
+    }
+
+    // Once the ghost has already finished the current level, the gap grows live
+    let delta = gameState.ghostDelta;
+    const ghostSplit = ghost.getSplitTime(gameState.levelsCompleted);
+    if (ghostSplit !== null && gameState.currentTime > ghostSplit) {
+        delta = gameState.currentTime - ghostSplit;
+    }
+
+    if (delta === null) {
+        element.textContent = 'vs Ghost';
+        element.className = '';
+        return;
+    }
+    element.textContent = formatSplitDelta(delta);
+    element.className = delta <= 0 ? 'ahead' : 'behind';
+}
+
+// Format a split difference in ms as "+1.2s" / "-0.8s"
+function formatSplitDelta(ms) {
+    const sign = ms <= 0 ? '-' : '+';
+    return `${sign}${(Math.abs(ms) / 1000).toFixed(1)}s`;
+}
+
 // Create particle burst effect using pool
 function createParticleBurst(x, y, count, color, speedRange = 100) {
     gameState.particlePool.createBurst(x, y, count, color, speedRange);
@@ -631,8 +895,8 @@ function updateScreenShake(dt) {
 
 // Draw off-screen goal indicator
 function drawGoalIndicator(ctx) {
-    const goalX = gameState.currentLevel.goalPosition.x;
-    const goalY = gameState.currentLevel.goalPosition.y;
+    const goal = gameState.currentLevel.goalPosition;
+    const { x: goalX, y: goalY } = worldToScreen(goal.x, goal.y);
 
     // Check if goal is off-screen
     const margin = 50;
@@ -671,8 +935,10 @@ function drawGoalIndicator(ctx) {
     ctx.fill();
     ctx.stroke();
 
-    // Distance text
-    const distance = Math.sqrt(Math.pow(goalX - centerX, 2) + Math.pow(goalY - centerY, 2));
+    // Distance text: from the player, in world units
+    const player = gameState.player.getRenderPosition(gameState.renderAlpha);
+    const playerOnScreen = worldToScreen(player.x, player.y);
+    const distance = Math.sqrt(Math.pow(goalX - playerOnScreen.x, 2) + Math.pow(goalY - playerOnScreen.y, 2)) / gameState.camera.zoom;
     ctx.font = '12px monospace';
     ctx.fillStyle = 'white';
     ctx.textAlign = 'center';
@@ -686,71 +952,62 @@ function drawGoalIndicator(ctx) {
 function handleInput(event) {
     const isKeyDown = event.type === 'keydown';
 
-    // Prevent default behavior for game controls to avoid browser interference
-    if (event.code === 'ArrowLeft' || event.code === 'ArrowRight') {
-        event.preventDefault();
+    // Waiting for a key on the Key Bindings screen
+    if (gameState.rebinding) {
+        handleRebindKey(event);
+        return;
+    }
+    // Typing in a text field (profile name, server address) isn't playing
+    if (event.target && event.target.closest && event.target.closest('input[type="text"], textarea')) return;
+
+    const action = getKeyAction(event.code);
+
+    if (isLevelEditorOpen()) {
+        handleEditorKey(event);
+        return;
     }
+    if (!action) return;
 
-    // Handle keyboard input
-    if (event.code === 'ArrowLeft') {
-        gameState.keys.left = isKeyDown;
-    } else if (event.code === 'ArrowRight') {
-        gameState.keys.right = isKeyDown;
-    } else if (event.code === 'KeyR' && isKeyDown && gameState.gameStarted && !gameState.paused) {
-        // Restart current level
+    // Prevent default behavior for game controls to avoid browser interference (scrolling)
+    if (gameState.gameStarted) {
         event.preventDefault();
-        gameState.currentLevel = Level.generateLevel(gameState.currentLevelNumber);
-        gameState.player = new Player(
-            gameState.currentLevel.startPosition.x,
-            gameState.currentLevel.startPosition.y,
-            gameState.currentLevel.planets[0]
-        );
-        gameState.particlePool.clear();
-    } else if (event.code === 'Escape' && isKeyDown) {
-        if (gameState.gameStarted && !gameState.paused) {
-            // Show pause menu
-            gameState.paused = true;
-            hideAllMenus();
-            document.getElementById('pause-menu').classList.remove('hidden');
-        } else if (gameState.paused) {
-            // Resume game
-            resumeGame();
-        }
     }
-}
 
-// Update mobile input state
-function updateMobileInput() {
-    if (!gameState.mobileInput.active) {
-        // No mobile input active, clear mobile keys and target speed
-        gameState.mobileInput.left = false;
-        gameState.mobileInput.right = false;
-        gameState.mobileInput.targetSpeed = 0;
-        return;
+    // Held actions are read by readKeyboardInput; presses go into the next action frame
+    if (action === 'left' || action === 'right' || action === 'brake') {
+        gameState.keys[action] = isKeyDown;
+    } else if (isKeyDown && (action === 'restart' || !event.repeat)) {
+        gameState.input.press(action);
     }
+}
+
+// Keyboard input source: the held direction keys (see input.js)
+function readKeyboardInput() {
+    const keys = gameState.keys;
+    return {
+        direction: (keys.right ? 1 : 0) - (keys.left ? 1 : 0),
+        brake: keys.brake || (keys.left && keys.right)
+    };
+}
+
+// Pointer input source: the touch / mouse joystick, whose drag distance sets the throttle
+function readPointerInput() {
+    const mobileInput = gameState.mobileInput;
+    if (!mobileInput.active) return null;
 
     // Calculate joystick position relative to center
-    const deltaX = gameState.mobileInput.currentX - gameState.mobileInput.centerX;
+    const deltaX = mobileInput.currentX - mobileInput.centerX;
     const distance = Math.abs(deltaX);
 
-    // Apply deadzone
-    if (distance < gameState.mobileInput.deadzone) {
-        // In deadzone - no movement, target speed = 0
-        gameState.mobileInput.left = false;
-        gameState.mobileInput.right = false;
-        gameState.mobileInput.targetSpeed = 0;
-    } else {
-        // Outside deadzone - calculate target speed based on drag distance
-        const clampedDistance = Math.min(distance, gameState.mobileInput.maxDistance);
-        const direction = deltaX > 0 ? 'right' : 'left';
-
-        // Calculate target speed as percentage of max speed (0-1)
-        gameState.mobileInput.targetSpeed = clampedDistance / gameState.mobileInput.maxDistance;
+    // Apply deadzone - no movement, slow to a stop
+    if (distance < mobileInput.deadzone) return { direction: 0 };
 
-        // Set mobile input based on direction
-        gameState.mobileInput.left = direction === 'left';
-        gameState.mobileInput.right = direction === 'right';
-    }
+    // Outside deadzone - throttle is the drag distance as a fraction of the max travel (0-1)
+    const clampedDistance = Math.min(distance, mobileInput.maxDistance);
+    return {
+        direction: deltaX > 0 ? 1 : -1,
+        throttle: clampedDistance / mobileInput.maxDistance
+    };
 }
 
 // Draw mobile joystick visual feedback - using overlay
@@ -904,14 +1161,34 @@ function drawSpeedIndicator(ctx) {
     ctx.restore();
 }
 
-// Game loop with dynamic frame rate and delta time
+// Game loop: fixed-step physics with an accumulator, interpolated rendering
 function gameLoop(currentTime) {
-    // Calculate delta time for frame-rate independent physics
-    const deltaTime = currentTime - gameState.lastFrameTime;
+    // Clamp so a stalled tab doesn't trigger a long burst of catch-up steps
+    const deltaTime = Math.min(currentTime - gameState.lastFrameTime, MAX_FRAME_TIME);
     gameState.lastFrameTime = currentTime;
     gameState.deltaTime = deltaTime;
 
-    update(deltaTime);
+    // Controllers are read once per frame
+    pollGamepads();
+
+    // Run as many fixed physics steps as the elapsed time covers
+    // (replays can play back faster or slower than real time)
+    const playbackSpeed = gameState.replayViewer ? gameState.replayViewer.speed : 1;
+    gameState.physicsAccumulator += deltaTime * playbackSpeed;
+    while (gameState.physicsAccumulator >= PHYSICS_TIMESTEP) {
+        update();
+        gameState.physicsAccumulator -= PHYSICS_TIMESTEP;
+    }
+
+    // Leftover time becomes the blend factor between the last two physics states
+    gameState.renderAlpha = gameState.physicsAccumulator / PHYSICS_TIMESTEP;
+
+    updateEffects(deltaTime);
+    updateCamera(deltaTime);
+    updateAudio();
     render();
+
+    // A few ms of every frame go to generating the levels coming up (see level-prefetch.js)
+    updateLevelPrefetch();
     requestAnimationFrame(gameLoop);
 }
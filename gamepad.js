@@ -0,0 +1,243 @@
+// Gamepad support (Gamepad API, "standard" button layout). Controllers are polled once per
+// frame; any connected pad can play, and pads can be plugged in or out at any time.
+//
+// In a run, the pads are one input source (readGamepadInput, see input.js): the left stick works
+// like the touch joystick, its tilt is the 0-1 throttle, and the D-pad runs at full speed.
+// Buttons are listed in GAMEPAD_GAME_BUTTONS. With a menu open, the D-pad or stick moves between its controls
+// (left / right also change sliders and lists), A presses the control and B goes back.
+const GAMEPAD_STICK_DEADZONE = 0.2;
+const GAMEPAD_NAV_DELAY = 400; // ms a held direction waits before repeating in menus
+const GAMEPAD_NAV_REPEAT = 150; // ms between repeats after that
+const GAMEPAD_GAME_BUTTONS = [
+    { action: 'jump', buttons: [0] }, // A / Cross
+    { action: 'brake', buttons: [1, 6] }, // B / Circle, left trigger
+    { action: 'restart', buttons: [3] }, // Y / Triangle
+    { action: 'pause', buttons: [9] } // Start / Options
+];
+const GAMEPAD_MENU_BUTTONS = { confirm: 0, back: 1, up: 12, down: 13, left: 14, right: 15 };
+const GAMEPAD_DPAD = { left: 14, right: 15 };
+
+function createGamepadState() {
+    return {
+        connected: 0, // Pads plugged in
+        direction: 0, // -1 left, 1 right, 0 none
+        throttle: 0, // Stick tilt (0-1), 1 with the D-pad
+        brake: false,
+        pressed: {}, // Button number -> held on the last poll, so presses act once
+        menu: null, // Menu open on the last poll
+        navDirection: null, // Menu direction being held ('up', 'down', 'left', 'right')
+        navRepeatAt: 0 // Time the held menu direction moves again
+    };
+}
+
+function setupGamepad() {
+    window.addEventListener('gamepadconnected', function(event) {
+        gameState.gamepad.connected = getConnectedGamepads().length;
+        document.getElementById('game-status').textContent = gameState.gameStarted ? '' : `Controller connected: ${event.gamepad.id}`;
+        focusMenuControl(0);
+    });
+
+    window.addEventListener('gamepaddisconnected', function() {
+        gameState.gamepad.connected = getConnectedGamepads().length;
+        if (gameState.gamepad.connected > 0) return;
+
+        // Don't leave the run going with nobody at the controls
+        Object.assign(gameState.gamepad, createGamepadState());
+        if (gameState.gameStarted && !gameState.paused && !gameState.replayViewer) pauseGame();
+    });
+
+    // The focus outline is for controller players only
+    for (const type of ['mousedown', 'touchstart', 'keydown']) {
+        document.addEventListener(type, () => document.body.classList.remove('gamepad-navigation'), { passive: true });
+    }
+}
+
+function getConnectedGamepads() {
+    if (!navigator.getGamepads) return [];
+    return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+}
+
+// Read the controllers; call once per frame before the physics steps
+function pollGamepads() {
+    const state = gameState.gamepad;
+    if (state.connected === 0) return;
+
+    const pads = getConnectedGamepads();
+    const isPressed = (button) => pads.some(pad => pad.buttons[button] && pad.buttons[button].pressed);
+
+    // Press that started on this poll
+    const pressed = {};
+    const justPressed = (button) => {
+        pressed[button] = isPressed(button);
+        return pressed[button] && !state.pressed[button];
+    };
+
+    const menu = getOpenMenu();
+    if (menu !== state.menu) {
+        // Newly opened menu while playing with the pad: start on its first control
+        state.menu = menu;
+        if (menu && document.body.classList.contains('gamepad-navigation') &&
+            getMenuControls(menu).indexOf(document.activeElement) === -1) {
+            focusMenuControl(0);
+        }
+    }
+
+    if (menu || gameState.replayViewer || isLevelEditorOpen()) {
+        state.direction = 0;
+        state.throttle = 0;
+        state.brake = false;
+        if (gameState.replayViewer) {
+            if (justPressed(GAMEPAD_MENU_BUTTONS.back) || justPressed(9)) gameState.input.press('pause');
+        } else if (menu) {
+            pollGamepadMenu(menu, pads, justPressed);
+        }
+        state.pressed = pressed;
+        return;
+    }
+
+    // Stick: the most tilted one, if past the deadzone
+    let stickX = 0;
+    for (const pad of pads) {
+        const x = pad.axes[0] || 0;
+        if (Math.abs(x) > Math.abs(stickX)) stickX = x;
+    }
+    const dpadLeft = isPressed(GAMEPAD_DPAD.left);
+    const dpadRight = isPressed(GAMEPAD_DPAD.right);
+
+    if (dpadLeft || dpadRight) {
+        // Both sides of the D-pad at once brake, like both direction keys
+        state.direction = dpadLeft === dpadRight ? 0 : (dpadLeft ? -1 : 1);
+        state.throttle = 1;
+        state.brake = dpadLeft && dpadRight;
+    } else if (Math.abs(stickX) >= GAMEPAD_STICK_DEADZONE) {
+        state.direction = Math.sign(stickX);
+        state.throttle = Math.min(Math.abs(stickX), 1);
+        state.brake = false;
+    } else {
+        state.direction = 0;
+        state.throttle = 0;
+        state.brake = false;
+    }
+
+    for (const binding of GAMEPAD_GAME_BUTTONS) {
+        const started = binding.buttons.map(justPressed).some(Boolean);
+        if (binding.action === 'brake') {
+            if (binding.buttons.some(button => pressed[button])) state.brake = true;
+        } else if (started) {
+            gameState.input.press(binding.action);
+            // The pause menu opens ready for the pad
+            if (binding.action === 'pause') document.body.classList.add('gamepad-navigation');
+        }
+    }
+    state.pressed = pressed;
+}
+
+// Gamepad input source: what the pads held on the last poll
+function readGamepadInput() {
+    const state = gameState.gamepad;
+    return { direction: state.direction, throttle: state.throttle, brake: state.brake };
+}
+
+function getOpenMenu() {
+    return document.querySelector('.menu-overlay:not(.hidden)');
+}
+
+// Controls a controller can reach in a menu, in page order
+function getMenuControls(menu) {
+    return Array.from(menu.querySelectorAll('button, input, select, textarea, [tabindex]')).filter(control =>
+        !control.disabled && control.type !== 'file' && !control.closest('.hidden'));
+}
+
+function focusMenuControl(index) {
+    const menu = getOpenMenu();
+    if (!menu) return;
+    const controls = getMenuControls(menu);
+    if (controls.length === 0) return;
+
+    document.body.classList.add('gamepad-navigation');
+    controls[(index + controls.length) % controls.length].focus();
+}
+
+function pollGamepadMenu(menu, pads, justPressed) {
+    const state = gameState.gamepad;
+
+    if (justPressed(GAMEPAD_MENU_BUTTONS.confirm)) {
+        const focused = getMenuControls(menu).indexOf(document.activeElement);
+        if (focused === -1) {
+            focusMenuControl(0);
+        } else {
+            document.body.classList.add('gamepad-navigation');
+            document.activeElement.click();
+        }
+    }
+    if (justPressed(GAMEPAD_MENU_BUTTONS.back)) {
+        backOutOfMenu(menu);
+    }
+    // Start resumes from the pause menu
+    if (justPressed(9) && menu.id === 'pause-menu') {
+        gameState.input.press('pause');
+    }
+
+    // Held direction, from the D-pad or the stick
+    const stickX = pads.reduce((x, pad) => (Math.abs(pad.axes[0] || 0) > Math.abs(x) ? pad.axes[0] : x), 0);
+    const stickY = pads.reduce((y, pad) => (Math.abs(pad.axes[1] || 0) > Math.abs(y) ? pad.axes[1] : y), 0);
+    let direction = null;
+    for (const name of ['up', 'down', 'left', 'right']) {
+        if (pads.some(pad => pad.buttons[GAMEPAD_MENU_BUTTONS[name]] && pad.buttons[GAMEPAD_MENU_BUTTONS[name]].pressed)) {
+            direction = name;
+        }
+    }
+    if (!direction && Math.max(Math.abs(stickX), Math.abs(stickY)) >= 0.5) {
+        direction = Math.abs(stickY) >= Math.abs(stickX) ? (stickY < 0 ? 'up' : 'down') : (stickX < 0 ? 'left' : 'right');
+    }
+
+    const now = performance.now();
+    if (!direction) {
+        state.navDirection = null;
+        return;
+    }
+    if (direction === state.navDirection && now < state.navRepeatAt) return;
+
+    state.navRepeatAt = now + (direction === state.navDirection ? GAMEPAD_NAV_REPEAT : GAMEPAD_NAV_DELAY);
+    state.navDirection = direction;
+    moveMenuFocus(menu, direction);
+}
+
+// Up / down go through the controls; left / right change a slider or list, or move too
+function moveMenuFocus(menu, direction) {
+    const controls = getMenuControls(menu);
+    const focused = document.activeElement;
+    const index = controls.indexOf(focused);
+    const step = direction === 'up' || direction === 'left' ? -1 : 1;
+
+    if (index !== -1 && (direction === 'left' || direction === 'right')) {
+        if (focused.type === 'range') {
+            const value = parseFloat(focused.value) + step * parseFloat(focused.step || 1);
+            focused.value = Math.min(parseFloat(focused.max), Math.max(parseFloat(focused.min), value));
+            focused.dispatchEvent(new Event('input'));
+            return;
+        }
+        if (focused.tagName === 'SELECT') {
+            const selected = Math.min(focused.options.length - 1, Math.max(0, focused.selectedIndex + step));
+            if (selected !== focused.selectedIndex) {
+                focused.selectedIndex = selected;
+                focused.dispatchEvent(new Event('change'));
+            }
+            return;
+        }
+    }
+
+    focusMenuControl(index === -1 ? 0 : index + step);
+}
+
+// B leaves a menu like its Back button; the pause menu resumes and the main menu has nowhere to go
+function backOutOfMenu(menu) {
+    if (menu.id === 'pause-menu') {
+        resumeGame();
+        return;
+    }
+    if (menu.id === 'main-menu') return;
+
+    const back = Array.from(menu.querySelectorAll('.menu-btn.secondary')).pop();
+    if (back) back.click();
+}
@@ -0,0 +1,91 @@
+// Ghost racing: re-simulates a personal-best speedrun replay and exposes its path
+// level by level, so a translucent ghost can run alongside the player.
+// Each level is simulated when the race first reaches it, starting straight from the
+// replay's load of that level: starting (or resuming) a long speedrun costs one level,
+// not the whole run, and the level itself comes from levelSolutionCache by then.
+class Ghost {
+    constructor(replay) {
+        this.replay = replay;
+        this.timestep = replay.timestep;
+        this.levels = []; // Per level: { startTick, splitTick, positions: [x0, y0, x1, y1, ...] }, once built
+        this.runner = new ReplayRunner(replay);
+    }
+
+    // Play level `levelIndex` of the replay headlessly and record where the player was on every step
+    buildLevel(levelIndex) {
+        if (this.levels[levelIndex] !== undefined) return;
+
+        // Speedruns play levels 1, 2, 3, ... in order; restarts load the same level again
+        const entryIndex = this.replay.levels.findIndex(entry => !ReplayRunner.isCustomLevelEntry(entry) && entry[1] === levelIndex + 1);
+        if (entryIndex === -1) {
+            this.levels[levelIndex] = null; // The ghost never got there
+            return;
+        }
+
+        const runner = this.runner;
+        runner.startAtLevel(entryIndex, levelIndex);
+        const level = { startTick: runner.tick, splitTick: null, positions: [] };
+        this.levels[levelIndex] = level;
+
+        while (!runner.finished && runner.levelsCompleted === levelIndex) {
+            runner.step();
+            const player = runner.simulation.player;
+            level.positions.push(player.x, player.y);
+        }
+        if (runner.levelsCompleted > levelIndex) {
+            level.splitTick = runner.tick;
+        }
+    }
+
+    // Run time (ms) at which the ghost finished a level, or null if it never did
+    getSplitTime(levelIndex) {
+        this.buildLevel(levelIndex);
+        const level = this.levels[levelIndex];
+        if (!level || level.splitTick === null) return null;
+        return level.splitTick * this.timestep;
+    }
+
+    // Ghost position after `levelTick` steps on a level (interpolated like the player),
+    // or null once the ghost has left that level
+    getPosition(levelIndex, levelTick, alpha = 1) {
+        this.buildLevel(levelIndex);
+        const level = this.levels[levelIndex];
+        if (!level) return null;
+
+        const index = levelTick - 1;
+        const count = level.positions.length / 2;
+        if (index < 0 || index >= count) return null;
+
+        const prev = Math.max(0, index - 1);
+        const x0 = level.positions[prev * 2];
+        const y0 = level.positions[prev * 2 + 1];
+        const x1 = level.positions[index * 2];
+        const y1 = level.positions[index * 2 + 1];
+
+        // Don't interpolate across a respawn or screen wrap
+        if (Math.abs(x1 - x0) > CANVAS_WIDTH / 2 || Math.abs(y1 - y0) > CANVAS_HEIGHT / 2) {
+            return { x: x1, y: y1 };
+        }
+        return { x: x0 + (x1 - x0) * alpha, y: y0 + (y1 - y0) * alpha };
+    }
+
+    draw(ctx, levelIndex, levelTick, alpha = 1) {
+        const position = this.getPosition(levelIndex, levelTick, alpha);
+        if (!position) return;
+
+        ctx.save();
+        ctx.globalAlpha = 0.35;
+
+        const radius = 8;
+        const gradient = ctx.createRadialGradient(position.x, position.y, 0, position.x, position.y, radius * 1.5);
+        gradient.addColorStop(0, '#aaddff');
+        gradient.addColorStop(0.7, '#aaddff');
+        gradient.addColorStop(1, 'rgba(170, 221, 255, 0)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(position.x, position.y, radius * 1.5, 0, 2 * Math.PI);
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
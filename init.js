@@ -3,11 +3,30 @@ function initializeGameState() {
     gameState = {
         // Core game state
         currentLevel: null,
+        simulation: null, // Headless Simulation stepping the current level
         player: null,
         gameStarted: false,
         canvas: null,
         ctx: null,
-        keys: { left: false, right: false },
+        input: new InputSystem(), // Combines the input sources into one action frame per step (see input.js)
+        keys: { left: false, right: false, brake: false }, // Held keyboard actions
+        keyBindings: null, // Keys for each action (see key-bindings.js)
+        rebinding: null, // { action, slot } waiting for a key on the Key Bindings screen
+        gamepad: createGamepadState(), // Controller input read each frame (see gamepad.js)
+        recorder: null, // ReplayRecorder for the run in progress
+        customLevel: null, // Level imported from a share code, played in practice mode
+        replayViewer: null, // Replay playback state while watching a replay
+        campaignPacks: null, // Loaded campaign level packs (null while loading)
+        campaign: null, // Campaign pack and level being played (see campaign.js)
+        achievementToasts: [], // Unlocked achievements waiting for / showing their banner
+        levelEditor: null, // Level editor state while the editor is open (see level-editor.js)
+        profileImport: null, // Checked profile file waiting for merge / replace (see profile.js)
+        resumedRun: false, // Run continued from a save (see saved-run.js); speedruns can't set records
+        ghost: null, // Ghost of the personal-best speedrun for the current target
+        ghostDelta: null, // Last split difference against the ghost (ms, negative = ahead)
+        splits: null, // Run time (ms) at each completed level of the current speedrun
+        splitRecords: null, // Saved PB splits and best segments for the current target
+        splitComparison: null, // PB splits and best segments as they were when the run started
 
         // Mobile/touch input state
         mobileInput: {
@@ -21,9 +40,6 @@ function initializeGameState() {
             joystickRadius: 60,  // Joystick visual radius
             deadzone: 10,        // Deadzone for centering
             maxDistance: 50,     // Maximum joystick travel
-            left: false,         // Current left input state
-            right: false,        // Current right input state
-            targetSpeed: 0,      // Target speed based on drag distance (0-1)
             fullScreenMode: true // Allow input anywhere on screen
         },
 
@@ -35,6 +51,7 @@ function initializeGameState() {
         mode: 'endless', // 'endless', 'speedrun', 'daily', 'practice'
         speedrunTarget: 10, // 10, 25, or 100 levels
         currentLevelNumber: 1, // Actual level number (sequential for speedrun/daily)
+        dailySeed: null, // Seed of the daily challenge being played, fixed when the run starts
 
         // Scoring and progression
         score: 0, // Calculated based on mode
@@ -47,24 +64,33 @@ function initializeGameState() {
         currentTime: 0, // Current elapsed time in ms
         lastFrameTime: 0, // For delta time calculations
         deltaTime: 16.67, // Default 60 FPS delta time in ms
+        physicsAccumulator: 0, // Unsimulated time carried between frames (ms)
+        simulationTicks: 0, // Fixed physics steps taken this run
+        levelStartTick: 0, // simulationTicks when the current level was first entered
+        levelStartDeaths: 0, // Run deaths when the current level was first entered
+        nearMisses: 0, // Black hole near misses this run (endless risk bonus)
+        renderAlpha: 0, // Interpolation factor between last two physics steps (0-1)
 
         // High scores and leaderboards
         highScore: 0, // Endless mode high score
-        speedrunRecords: {
-            '10': { time: Infinity, deaths: Infinity, deathlessTime: Infinity },
-            '25': { time: Infinity, deaths: Infinity, deathlessTime: Infinity },
-            '100': { time: Infinity, deaths: Infinity, deathlessTime: Infinity }
-        },
+        speedrunRecords: createDefaultSpeedrunRecords(),
         dailyBestScore: 0,
 
         // Settings
-        gameSpeed: 1.0, // Time dilation factor (speed slider)
-        gravityMultiplier: 4.2, // Gravity strength multiplier (development slider)
+        gameSpeed: DEFAULT_GAME_SPEED, // Time dilation factor (speed slider)
+        gravityMultiplier: DEFAULT_GRAVITY_MULTIPLIER, // Gravity strength multiplier (development slider)
         visualEffects: true, // Toggle for effects
+        trajectoryPreview: true, // Assist: draw the predicted jump path while on a planet
+        trajectoryInCompetitive: false, // Also show the trajectory preview in speedrun and daily
+        trajectoryHorizon: 1.5, // Seconds of flight to predict
+        audioVolumes: Object.assign({}, DEFAULT_AUDIO_VOLUMES), // Master, sfx and music volume (0-1)
+        audio: null, // Web Audio engine, started by the first key press or click (see audio.js)
 
         // Visual effects (now using particle pool)
         particlePool: null,
         screenShake: { x: 0, y: 0, intensity: 0, duration: 0 },
+        camera: createCameraState(), // View of worlds larger than the canvas (see camera.js)
+        levelPrefetch: createLevelPrefetchState(), // Levels generated ahead of time (see level-prefetch.js)
         slowMo: { active: false, duration: 0, targetSpeed: 0.3 },
 
         // UI state
@@ -72,22 +98,13 @@ function initializeGameState() {
         paused: false,
         showCompletion: false,
         showLeaderboard: false,
+        leaderboardView: null, // Leaderboard screen board, player filter and sort (see leaderboard.js)
         showStats: false,
         showSettings: false,
         showHowToPlay: false,
 
         // Statistics (persistent)
-        stats: {
-            totalDeaths: 0,
-            totalLevelsCompleted: 0,
-            totalTimePlayed: 0,
-            totalJumps: 0,
-            totalLandings: 0,
-            blackHolesSurvived: 0,
-            longestStreak: 0,
-            fastestLevelClear: Infinity,
-            achievements: []
-        }
+        stats: createDefaultStats()
     };
 }
 
@@ -107,44 +124,19 @@ function init() {
     // Validate game state before loading
     validateGameState(gameState);
 
-    // Load high score with error handling
-    gameState.highScore = safeGetLocalStorage('littlePrinceHighScore', 0);
-    if (typeof gameState.highScore !== 'number') gameState.highScore = 0;
-    document.getElementById('high-score').textContent = `High Score: ${gameState.highScore}`;
-
-    // Load speedrun records with error handling
-    gameState.speedrunRecords = safeGetLocalStorage('littlePrinceSpeedrun', {
-        '10': { time: Infinity, deaths: Infinity, deathlessTime: Infinity },
-        '25': { time: Infinity, deaths: Infinity, deathlessTime: Infinity },
-        '100': { time: Infinity, deaths: Infinity, deathlessTime: Infinity }
-    });
-
-    // Load stats with error handling
-    gameState.stats = safeGetLocalStorage('littlePrinceStats', {
-        totalDeaths: 0,
-        totalLevelsCompleted: 0,
-        totalTimePlayed: 0,
-        totalJumps: 0,
-        totalLandings: 0,
-        blackHolesSurvived: 0,
-        longestStreak: 0,
-        achievements: []
-    });
-
-    // Load visual effects preference
-    gameState.visualEffects = safeGetLocalStorage('littlePrinceVisualEffects', true);
-    if (typeof gameState.visualEffects !== 'boolean') gameState.visualEffects = true;
+    // Upgrade saved records from older versions before reading them
+    initStorage();
+    loadPersistentState();
+    initOnlineLeaderboard();
 
     // Initialize particle pool for performance
     gameState.particlePool = new ParticlePool(100);
 
+    // Handcrafted campaign levels
+    loadCampaignPacks();
+
     // Initial level (will be replaced when game starts)
-    gameState.currentLevel = Level.generateLevel(1);
-    gameState.player = new Player(
-        gameState.currentLevel.startPosition.x,
-        gameState.currentLevel.startPosition.y,
-        gameState.currentLevel.planets[0]
-    );
+    loadLevel(Level.generateLevel(1));
     gameState.gameStarted = false; // Don't start automatically
 
     // Show main menu on load
@@ -159,15 +151,44 @@ function init() {
     if (effectsToggle) {
         effectsToggle.addEventListener('change', function(e) {
             gameState.visualEffects = e.target.checked;
-            safeSetLocalStorage('littlePrinceVisualEffects', e.target.checked);
+            saveToStorage('littlePrinceVisualEffects', e.target.checked);
         });
-
-        // Load saved preference with error handling
-        const savedEffects = safeGetLocalStorage('littlePrinceVisualEffects', true);
-        gameState.visualEffects = savedEffects;
         effectsToggle.checked = gameState.visualEffects;
     }
 
+    // Trajectory preview (assist) settings
+    const saveTrajectorySettings = () => {
+        saveToStorage('littlePrinceTrajectory', {
+            enabled: gameState.trajectoryPreview,
+            competitive: gameState.trajectoryInCompetitive,
+            horizon: gameState.trajectoryHorizon
+        });
+    };
+
+    const trajectoryToggle = document.getElementById('trajectory-toggle');
+    trajectoryToggle.checked = gameState.trajectoryPreview;
+    trajectoryToggle.addEventListener('change', function(e) {
+        gameState.trajectoryPreview = e.target.checked;
+        saveTrajectorySettings();
+    });
+
+    const trajectoryCompetitiveToggle = document.getElementById('trajectory-competitive-toggle');
+    trajectoryCompetitiveToggle.checked = gameState.trajectoryInCompetitive;
+    trajectoryCompetitiveToggle.addEventListener('change', function(e) {
+        gameState.trajectoryInCompetitive = e.target.checked;
+        saveTrajectorySettings();
+    });
+
+    const horizonSlider = document.getElementById('trajectory-horizon-slider');
+    const horizonValue = document.getElementById('trajectory-horizon-value');
+    horizonSlider.addEventListener('input', function(e) {
+        gameState.trajectoryHorizon = parseFloat(e.target.value);
+        horizonValue.textContent = gameState.trajectoryHorizon.toFixed(1) + 's';
+        saveTrajectorySettings();
+    });
+    horizonSlider.value = gameState.trajectoryHorizon;
+    horizonValue.textContent = gameState.trajectoryHorizon.toFixed(1) + 's';
+
     // Speed slider event listener
     const speedSlider = document.getElementById('speed-slider');
     const speedValue = document.getElementById('speed-value');
@@ -198,6 +219,37 @@ function init() {
     gameLoop(performance.now());
 }
 
+// Read the saved records and settings into gameState (on page load and after a profile import)
+function loadPersistentState() {
+    // Load high score with error handling
+    gameState.highScore = loadFromStorage('littlePrinceHighScore', 0);
+    if (typeof gameState.highScore !== 'number') gameState.highScore = 0;
+    document.getElementById('high-score').textContent = `High Score: ${gameState.highScore}`;
+
+    // Load speedrun records with error handling
+    gameState.speedrunRecords = loadFromStorage('littlePrinceSpeedrun', createDefaultSpeedrunRecords());
+
+    // Load stats with error handling
+    gameState.stats = loadFromStorage('littlePrinceStats', createDefaultStats());
+
+    // Today's best daily challenge score
+    gameState.dailyBestScore = loadFromStorage(getDailyScoreKey(getDailyChallengeSeed()), 0);
+
+    // Load visual effects preference
+    gameState.visualEffects = loadFromStorage('littlePrinceVisualEffects', true);
+    if (typeof gameState.visualEffects !== 'boolean') gameState.visualEffects = true;
+
+    // Trajectory preview (assist) settings: the defaults for anything the profile hasn't saved
+    const trajectorySettings = loadFromStorage('littlePrinceTrajectory', {}) || {};
+    gameState.trajectoryPreview = typeof trajectorySettings.enabled === 'boolean' ? trajectorySettings.enabled : true;
+    gameState.trajectoryInCompetitive = typeof trajectorySettings.competitive === 'boolean' ? trajectorySettings.competitive : false;
+    gameState.trajectoryHorizon = typeof trajectorySettings.horizon === 'number' ? trajectorySettings.horizon : 1.5;
+
+    gameState.keyBindings = loadKeyBindings();
+    gameState.audioVolumes = loadAudioVolumes();
+    applyAudioVolumes();
+}
+
 // Setup functions that require all modules to be loaded
 function setupGame() {
     // Set up event listeners now that all functions are available
@@ -207,6 +259,25 @@ function setupGame() {
     // Mobile/touch input event listeners
     setupMobileInput();
 
+    // Controllers, including ones plugged in later
+    setupGamepad();
+
+    // Sound starts with the first key press or click
+    setupAudio();
+
+    // Everything that plays feeds the same action frames
+    gameState.input.addSource('keyboard', readKeyboardInput);
+    gameState.input.addSource('pointer', readPointerInput);
+    gameState.input.addSource('gamepad', readGamepadInput);
+
+    // Level editor: press on the canvas, drag and release anywhere
+    gameState.canvas.addEventListener('mousedown', handleEditorPointerDown);
+    gameState.canvas.addEventListener('touchstart', handleEditorPointerDown, { passive: false });
+    document.addEventListener('mousemove', handleEditorPointerMove);
+    document.addEventListener('touchmove', handleEditorPointerMove, { passive: false });
+    document.addEventListener('mouseup', handleEditorPointerUp);
+    document.addEventListener('touchend', handleEditorPointerUp);
+
     // Fullscreen button event listener
     const fullscreenBtn = document.getElementById('fullscreen-btn');
     if (fullscreenBtn) {
@@ -217,6 +288,11 @@ function setupGame() {
         document.addEventListener('msfullscreenchange', updateFullscreenButton);
     }
 
+    // Save the run when the tab is hidden or closed, so it can be continued later
+    document.addEventListener('visibilitychange', function() {
+        if (document.hidden) saveRun();
+    });
+
     // Menu button event listener for mobile
     const menuBtn = document.getElementById('menu-btn');
     if (menuBtn) {
@@ -368,13 +444,10 @@ function handleMobileEnd(event) {
 
     event.preventDefault();
 
-    // Jump when releasing (if no keyboard input is active)
-    const hasKeyboardInput = gameState.keys.left || gameState.keys.right;
-    if (!hasKeyboardInput && gameState.player && gameState.player.onPlanet && !gameState.player.hasJumped) {
-        gameState.player.jump();
-        if (gameState.stats) {
-            gameState.stats.totalJumps++;
-        }
+    // Jump when releasing (if no keyboard input is active); applied on the next physics step
+    const hasKeyboardInput = gameState.keys.left || gameState.keys.right || gameState.keys.brake;
+    if (!hasKeyboardInput) {
+        gameState.input.press('jump');
     }
 
     gameState.mobileInput.active = false;
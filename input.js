@@ -0,0 +1,83 @@
+// Player input as action frames. Every way of playing (keyboard, pointer / touch joystick,
+// gamepad, a recorded replay or a scripted bot) comes down to one frame per physics step:
+// { direction, throttle, jump, restart, pause }
+// - direction: -1 run left (counter-clockwise), 1 run right, 0 slow to a stop (also braking)
+// - throttle: running speed as a fraction of the max (0-1), 0 when direction is 0
+// - jump: launch from the current planet this step
+// - restart / pause: restart the level; pause or resume (leave the replay viewer)
+// The Simulation plays direction, throttle and jump; the game handles restart and pause.
+//
+// In the game, an InputSystem combines its sources into each step's frame. A source is a
+// function returning what it holds right now, as a partial frame plus `brake` (stop, whatever
+// the other sources hold), or null. One-off presses (jump, restart, pause) can also be queued
+// with press() by event handlers; they last until the next frame is read.
+const ACTION_FRAME_PRESSES = ['jump', 'restart', 'pause'];
+
+function createActionFrame() {
+    return { direction: 0, throttle: 0, jump: false, restart: false, pause: false };
+}
+
+// Canonical frame: direction -1/0/1 and a throttle quantized to hundredths, so a recorded
+// input log replays to exactly the same physics. A missing throttle means full speed.
+function normalizeActionFrame(frame) {
+    const throttle = frame.throttle === undefined ? 1 : Math.round(Math.min(Math.max(frame.throttle, 0), 1) * 100) / 100;
+    const direction = throttle > 0 ? Math.sign(frame.direction || 0) : 0;
+    return {
+        direction: direction,
+        throttle: direction !== 0 ? throttle : 0,
+        jump: !!frame.jump,
+        restart: !!frame.restart,
+        pause: !!frame.pause
+    };
+}
+
+class InputSystem {
+    constructor() {
+        this.sources = []; // { name, read }
+        this.pressed = {}; // Action -> queued by press() since the last frame
+    }
+
+    addSource(name, read) {
+        this.removeSource(name);
+        this.sources.push({ name: name, read: read });
+    }
+
+    removeSource(name) {
+        this.sources = this.sources.filter(source => source.name !== name);
+    }
+
+    press(action) {
+        if (ACTION_FRAME_PRESSES.includes(action)) this.pressed[action] = true;
+    }
+
+    // This step's frame. Sources running opposite ways cancel out (like holding both
+    // directions); otherwise the fastest wins. Queued presses are used up.
+    readFrame() {
+        const frame = createActionFrame();
+        let brake = false;
+
+        for (const source of this.sources) {
+            const held = source.read();
+            if (!held) continue;
+
+            if (held.brake) brake = true;
+            for (const action of ACTION_FRAME_PRESSES) {
+                if (held[action]) frame[action] = true;
+            }
+
+            const direction = Math.sign(held.direction || 0);
+            if (direction === 0) continue;
+            if (frame.direction !== 0 && frame.direction !== direction) brake = true;
+            frame.direction = direction;
+            frame.throttle = Math.max(frame.throttle, held.throttle === undefined ? 1 : held.throttle);
+        }
+
+        for (const action of ACTION_FRAME_PRESSES) {
+            if (this.pressed[action]) frame[action] = true;
+        }
+        this.pressed = {};
+
+        if (brake) frame.direction = 0;
+        return normalizeActionFrame(frame);
+    }
+}
@@ -0,0 +1,196 @@
+// Keyboard bindings: which keys (KeyboardEvent.code) trigger each action. Every action has
+// KEY_BINDING_SLOTS keys, changed on the Key Bindings screen (Settings) and saved per profile
+// under 'littlePrinceKeyBindings': { action: [code | null, ...] }. A key can only be bound to
+// one action, and every action keeps at least one key.
+//
+// Actions:
+// - left / right / brake: held (gameState.keys); brake is both directions at once, which slows to a stop
+// - jump: launch from the planet on the next physics step
+// - restart / pause: restart the level; pause or resume (also leaves the replay viewer)
+const KEY_BINDING_ACTIONS = [
+    { id: 'left', name: 'Run Left', defaults: ['ArrowLeft', 'KeyA'] },
+    { id: 'right', name: 'Run Right', defaults: ['ArrowRight', 'KeyD'] },
+    { id: 'jump', name: 'Jump', defaults: ['Space', 'ArrowUp'] },
+    { id: 'brake', name: 'Brake', defaults: ['ArrowDown', 'KeyS'] },
+    { id: 'restart', name: 'Restart Level', defaults: ['KeyR', null] },
+    { id: 'pause', name: 'Pause', defaults: ['Escape', 'KeyP'] }
+];
+const KEY_BINDING_SLOTS = 2;
+const KEY_NAMES = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Space: 'Space',
+    Enter: 'Enter',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt'
+};
+
+function createDefaultKeyBindings() {
+    const bindings = {};
+    for (const action of KEY_BINDING_ACTIONS) {
+        bindings[action.id] = action.defaults.slice();
+    }
+    return bindings;
+}
+
+// Saved bindings on top of the defaults; a saved binding that clashes with another is dropped
+function loadKeyBindings() {
+    const saved = loadFromStorage('littlePrinceKeyBindings', {});
+    const bindings = createDefaultKeyBindings();
+    if (!saved || typeof saved !== 'object') return bindings;
+
+    for (const action of KEY_BINDING_ACTIONS) {
+        const keys = saved[action.id];
+        if (!Array.isArray(keys) || keys.length !== KEY_BINDING_SLOTS) continue;
+        if (keys.every(code => code === null || typeof code === 'string') && keys.some(code => code)) {
+            bindings[action.id] = keys.slice();
+        }
+    }
+
+    // Defaults can clash with keys the player moved onto another action
+    const seen = new Set();
+    for (const action of KEY_BINDING_ACTIONS) {
+        const keys = bindings[action.id];
+        for (let slot = 0; slot < KEY_BINDING_SLOTS; slot++) {
+            if (keys[slot] && seen.has(keys[slot])) keys[slot] = null;
+            if (keys[slot]) seen.add(keys[slot]);
+        }
+        if (!keys.some(code => code)) {
+            console.warn(`Saved key bindings leave "${action.name}" without a key, using the defaults`);
+            return createDefaultKeyBindings();
+        }
+    }
+    return bindings;
+}
+
+function saveKeyBindings() {
+    saveToStorage('littlePrinceKeyBindings', gameState.keyBindings);
+}
+
+// Action bound to a key, or null
+function getKeyAction(code) {
+    for (const action of KEY_BINDING_ACTIONS) {
+        if (gameState.keyBindings[action.id].includes(code)) return action.id;
+    }
+    return null;
+}
+
+function getKeyBindingAction(id) {
+    return KEY_BINDING_ACTIONS.find(action => action.id === id);
+}
+
+// "A" for KeyA, "1" for Digit1, "←" for ArrowLeft
+function formatKeyCode(code) {
+    if (!code) return '—';
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (code.startsWith('Numpad')) return `Num ${code.slice(6)}`;
+    return code;
+}
+
+// Keys of an action for help text: "Space / ↑"
+function describeKeyBinding(id) {
+    return gameState.keyBindings[id].filter(code => code).map(formatKeyCode).join(' / ');
+}
+
+// Key Bindings screen (from the settings)
+function showKeyBindings() {
+    hideAllMenus();
+    document.getElementById('key-bindings').classList.remove('hidden');
+    gameState.rebinding = null;
+    setKeyBindingStatus('Click a key to change it');
+    renderKeyBindings();
+}
+
+function hideKeyBindings() {
+    gameState.rebinding = null;
+    showSettings();
+}
+
+function renderKeyBindings() {
+    const table = document.getElementById('key-binding-rows');
+    table.textContent = '';
+
+    for (const action of KEY_BINDING_ACTIONS) {
+        const row = table.insertRow();
+        row.insertCell().textContent = action.name;
+
+        for (let slot = 0; slot < KEY_BINDING_SLOTS; slot++) {
+            const button = document.createElement('button');
+            const waiting = gameState.rebinding && gameState.rebinding.action === action.id && gameState.rebinding.slot === slot;
+            button.className = waiting ? 'preset-btn key-binding waiting' : 'preset-btn key-binding';
+            button.textContent = waiting ? '...' : formatKeyCode(gameState.keyBindings[action.id][slot]);
+            button.onclick = () => startRebinding(action.id, slot);
+            row.insertCell().appendChild(button);
+        }
+    }
+}
+
+function setKeyBindingStatus(message, isError = false) {
+    const status = document.getElementById('key-binding-status');
+    status.textContent = message;
+    status.className = isError ? 'level-code-status error' : 'level-code-status';
+}
+
+// Wait for the next key press to bind; clicking the same key again cancels
+function startRebinding(actionId, slot) {
+    const rebinding = gameState.rebinding;
+    if (rebinding && rebinding.action === actionId && rebinding.slot === slot) {
+        gameState.rebinding = null;
+        setKeyBindingStatus('Click a key to change it');
+    } else {
+        gameState.rebinding = { action: actionId, slot: slot };
+        setKeyBindingStatus(`Press a key for ${getKeyBindingAction(actionId).name} (Backspace to clear)`);
+    }
+    renderKeyBindings();
+}
+
+// Key pressed while waiting on the Key Bindings screen
+function handleRebindKey(event) {
+    if (event.type !== 'keydown') return;
+    event.preventDefault();
+
+    const { action: actionId, slot } = gameState.rebinding;
+    const action = getKeyBindingAction(actionId);
+    const keys = gameState.keyBindings[actionId];
+    gameState.rebinding = null;
+
+    if (event.code === 'Backspace') {
+        if (keys.filter(code => code).length <= 1 && keys[slot]) {
+            setKeyBindingStatus(`${action.name} needs at least one key`, true);
+        } else {
+            keys[slot] = null;
+            saveKeyBindings();
+            setKeyBindingStatus(`Cleared a key of ${action.name}`);
+        }
+        renderKeyBindings();
+        return;
+    }
+
+    const boundTo = getKeyAction(event.code);
+    if (boundTo && !(boundTo === actionId && keys[slot] === event.code)) {
+        const other = getKeyBindingAction(boundTo);
+        setKeyBindingStatus(`${formatKeyCode(event.code)} is already bound to ${other.name}. Change that key first.`, true);
+    } else {
+        keys[slot] = event.code;
+        saveKeyBindings();
+        setKeyBindingStatus(`${action.name}: ${describeKeyBinding(actionId)}`);
+    }
+    renderKeyBindings();
+}
+
+function resetKeyBindings() {
+    gameState.rebinding = null;
+    gameState.keyBindings = createDefaultKeyBindings();
+    saveKeyBindings();
+    setKeyBindingStatus('Key bindings reset to the defaults');
+    renderKeyBindings();
+}
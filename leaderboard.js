@@ -0,0 +1,329 @@
+// Local leaderboards and run history.
+//
+// Leaderboards keep the best LEADERBOARD_SIZE runs played on this browser per board: 'endless',
+// 'speedrun10' / 'speedrun25' / 'speedrun100' and 'daily_<seed>'. They are shared by every
+// profile, saved under 'littlePrinceLeaderboards': { board: [entry, ...] } (best first).
+// Entry: { score, time, deaths, levels, date, profileId, profile }
+// - score: endless and daily boards only; time (ms) and deaths are the whole run's
+// - profile: name of the profile that played the run
+// Endless and daily runs rank by score, speedruns by time then deaths. Resumed speedruns
+// don't make the boards (see saved-run.js). Runs for a board are also submitted online
+// (see online-leaderboard.js).
+//
+// Every finished run is also logged for the profile under 'littlePrinceRunHistory' (newest
+// first, up to RUN_HISTORY_SIZE runs): { mode, target, levels, deaths, time, score, outcome, resumed, date }
+// - target: speedrun target, daily seed or campaign chapter number (null otherwise)
+// - outcome: 'complete' (speedrun or campaign chapter finished), 'gameOver' or 'quit'
+const LEADERBOARDS_KEY = 'littlePrinceLeaderboards';
+const LEADERBOARD_SIZE = 10;
+const RUN_HISTORY_SIZE = 1000;
+const LEADERBOARD_SPEEDRUN_TARGETS = ['10', '25', '100'];
+const RUN_OUTCOME_NAMES = { complete: 'Finished', gameOver: 'Game Over', quit: 'Quit' };
+
+function isScoreLeaderboard(board) {
+    return board === 'endless' || board.startsWith('daily_');
+}
+
+// Board order: highest score (then fastest) or fastest time (then fewest deaths)
+function compareLeaderboardEntries(board, a, b) {
+    if (isScoreLeaderboard(board)) return b.score - a.score || a.time - b.time;
+    return a.time - b.time || a.deaths - b.deaths;
+}
+
+function loadLeaderboards() {
+    return loadFromStorage(LEADERBOARDS_KEY, {});
+}
+
+// Add a run to a board. Returns its rank (1-based), or null if it didn't make the board.
+function addLeaderboardEntry(board, entry) {
+    const boards = loadLeaderboards();
+    const entries = (boards[board] || []).concat([entry]);
+    entries.sort((a, b) => compareLeaderboardEntries(board, a, b));
+    boards[board] = entries.slice(0, LEADERBOARD_SIZE);
+    pruneDailyLeaderboards(boards);
+    saveToStorage(LEADERBOARDS_KEY, boards);
+
+    const rank = boards[board].indexOf(entry);
+    return rank === -1 ? null : rank + 1;
+}
+
+// Daily boards last as long as the daily scores (see pruneDailyScores)
+function pruneDailyLeaderboards(boards) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - DAILY_SCORE_KEEP_DAYS);
+    const oldestSeed = getDailyChallengeSeed(cutoff);
+
+    for (const board in boards) {
+        if (board.startsWith('daily_') && !(parseInt(board.slice(6), 10) >= oldestSeed)) delete boards[board];
+    }
+}
+
+// Board a finished run competes on, or null
+function getRunLeaderboard(run) {
+    if (run.mode === 'endless' && run.levels > 0) return 'endless';
+    if (run.mode === 'daily' && run.levels > 0) return `daily_${run.target}`;
+    if (run.mode === 'speedrun' && run.outcome === 'complete' && !run.resumed) return `speedrun${run.target}`;
+    return null;
+}
+
+// Log the run that just ended (its replay from finishRecording) and put it on its leaderboard,
+// locally and online. Returns the local leaderboard rank or null.
+function recordRunResult(outcome, replay) {
+    // Level editor test plays and runs that never started aren't runs worth keeping
+    if (gameState.levelEditor || gameState.simulationTicks === 0) return null;
+
+    let target = null;
+    if (gameState.mode === 'speedrun') {
+        target = gameState.speedrunTarget;
+    } else if (gameState.mode === 'daily') {
+        target = gameState.dailySeed;
+    } else if (gameState.mode === 'campaign') {
+        target = getCurrentCampaignLevel().chapterIndex + 1;
+    }
+
+    const run = {
+        mode: gameState.mode,
+        target: target,
+        levels: gameState.levelsCompleted,
+        deaths: gameState.deaths,
+        time: gameState.currentTime,
+        score: gameState.mode === 'endless' || gameState.mode === 'daily' ? calculateEndlessScore() : null,
+        outcome: outcome,
+        resumed: gameState.resumedRun,
+        date: new Date().toISOString()
+    };
+
+    const history = loadFromStorage('littlePrinceRunHistory', []);
+    history.unshift(run);
+    saveToStorage('littlePrinceRunHistory', history.slice(0, RUN_HISTORY_SIZE));
+
+    const board = getRunLeaderboard(run);
+    if (!board) return null;
+
+    const profile = getActiveProfile();
+    if (replay) {
+        submitOnlineRun({
+            board: board,
+            player: profile.name,
+            score: run.score,
+            time: run.time,
+            deaths: run.deaths,
+            levels: run.levels,
+            date: run.date,
+            replay: replay
+        });
+    }
+    return addLeaderboardEntry(board, {
+        score: run.score,
+        time: run.time,
+        deaths: run.deaths,
+        levels: run.levels,
+        date: run.date,
+        profileId: profile.id,
+        profile: profile.name
+    });
+}
+
+// "2024-05-01" for a daily challenge seed
+function formatDailySeed(seed) {
+    const text = String(seed);
+    return `${text.slice(0, 4)}-${text.slice(4, 6)}-${text.slice(6, 8)}`;
+}
+
+function formatRunDate(date) {
+    return new Date(date).toLocaleDateString();
+}
+
+function getLeaderboardName(board) {
+    if (board === 'endless') return 'Endless';
+    if (board.startsWith('daily_')) return `Daily ${formatDailySeed(board.slice(6))}`;
+    return `Speedrun ${board.slice('speedrun'.length)}`;
+}
+
+// Leaderboard screen. The view (local or online, board, profile filter, sort column) is kept in
+// gameState.leaderboardView.
+function showLeaderboard() {
+    hideAllMenus();
+    document.getElementById('leaderboard-screen').classList.remove('hidden');
+    gameState.showLeaderboard = true;
+    if (!gameState.leaderboardView) {
+        gameState.leaderboardView = { source: 'local', board: 'endless', profileId: null, sort: 'rank', descending: false, online: null };
+    }
+    gameState.leaderboardView.online = null; // Fetch fresh online rankings
+
+    // Boards: the fixed ones, then today's and any other stored daily challenge, newest first
+    const boards = loadLeaderboards();
+    const todayBoard = `daily_${getDailyChallengeSeed()}`;
+    const dailyBoards = Object.keys(boards).filter(board => board.startsWith('daily_') && board !== todayBoard).sort().reverse();
+    const boardNames = ['endless'].concat(LEADERBOARD_SPEEDRUN_TARGETS.map(target => `speedrun${target}`), [todayBoard], dailyBoards);
+
+    const boardSelect = document.getElementById('leaderboard-board');
+    boardSelect.textContent = '';
+    for (const board of boardNames) {
+        boardSelect.add(new Option(getLeaderboardName(board), board));
+    }
+    if (!boardNames.includes(gameState.leaderboardView.board)) gameState.leaderboardView.board = 'endless';
+    boardSelect.value = gameState.leaderboardView.board;
+
+    // Profiles with an entry on any board
+    const profileSelect = document.getElementById('leaderboard-profile');
+    profileSelect.textContent = '';
+    profileSelect.add(new Option('All players', ''));
+    const profileNames = new Map();
+    for (const board in boards) {
+        for (const entry of boards[board]) profileNames.set(entry.profileId, entry.profile);
+    }
+    for (const [profileId, name] of profileNames) {
+        profileSelect.add(new Option(name, profileId));
+    }
+    if (!profileNames.has(gameState.leaderboardView.profileId)) gameState.leaderboardView.profileId = null;
+    profileSelect.value = gameState.leaderboardView.profileId || '';
+
+    document.getElementById('leaderboard-source').value = gameState.leaderboardView.source;
+    setLeaderboardSource(gameState.leaderboardView.source);
+}
+
+function hideLeaderboard() {
+    gameState.showLeaderboard = false;
+    showMainMenu();
+}
+
+function setLeaderboardBoard(board) {
+    gameState.leaderboardView.board = board;
+    renderLeaderboard();
+}
+
+function setLeaderboardProfile(profileId) {
+    gameState.leaderboardView.profileId = profileId || null;
+    renderLeaderboard();
+}
+
+// Sort by a column; choosing the same column again flips the order
+function sortLeaderboard(column) {
+    const view = gameState.leaderboardView;
+    view.descending = view.sort === column ? !view.descending : column === 'date' || column === 'levels';
+    view.sort = column;
+    renderLeaderboard();
+}
+
+function setLeaderboardSource(source) {
+    gameState.leaderboardView.source = source;
+    document.getElementById('leaderboard-profile').disabled = source === 'online';
+    renderLeaderboard();
+}
+
+function renderLeaderboard() {
+    const view = gameState.leaderboardView;
+    if (view.source === 'online') {
+        renderOnlineLeaderboard();
+        return;
+    }
+
+    // Rank on the board comes first, then filtering and sorting only change what's shown
+    let entries = (loadLeaderboards()[view.board] || []).map((entry, i) => Object.assign({ rank: i + 1 }, entry));
+    if (view.profileId) entries = entries.filter(entry => entry.profileId === view.profileId);
+    showLeaderboardEntries(entries);
+}
+
+function showLeaderboardMessage(text) {
+    const container = document.getElementById('leaderboard-table');
+    container.textContent = '';
+    const message = document.createElement('p');
+    message.className = 'campaign-message';
+    message.textContent = text;
+    container.appendChild(message);
+}
+
+// Table of ranked entries ({ rank, profile, score, time, deaths, levels, date }) in the view's sort order
+function showLeaderboardEntries(entries) {
+    const view = gameState.leaderboardView;
+    const scoreBoard = isScoreLeaderboard(view.board);
+    if (entries.length === 0) {
+        showLeaderboardMessage('No runs yet');
+        return;
+    }
+
+    const sortValue = (entry) => (view.sort === 'date' ? Date.parse(entry.date) : entry[view.sort]);
+    entries.sort((a, b) => (view.descending ? sortValue(b) - sortValue(a) : sortValue(a) - sortValue(b)));
+
+    const columns = [
+        ['rank', '#'],
+        [null, 'Player'],
+        scoreBoard ? ['score', 'Score'] : ['time', 'Time'],
+        ['deaths', 'Deaths'],
+        ['levels', 'Levels'],
+        ['date', 'Date']
+    ];
+    if (scoreBoard) columns.splice(3, 0, ['time', 'Time']);
+
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    for (const [column, title] of columns) {
+        const cell = document.createElement('th');
+        cell.textContent = column === view.sort ? `${title} ${view.descending ? '▼' : '▲'}` : title;
+        if (column) {
+            cell.className = 'sortable';
+            cell.onclick = () => sortLeaderboard(column);
+        }
+        header.appendChild(cell);
+    }
+
+    for (const entry of entries) {
+        const row = table.insertRow();
+        for (const [column] of columns) {
+            let text;
+            if (column === null) text = entry.profile;
+            else if (column === 'time') text = formatSplitTime(entry.time);
+            else if (column === 'date') text = formatRunDate(entry.date);
+            else text = String(entry[column]);
+            row.insertCell().textContent = text;
+        }
+    }
+
+    const container = document.getElementById('leaderboard-table');
+    container.textContent = '';
+    container.appendChild(table);
+}
+
+// "Speedrun 25", "Daily 2024-05-01", "Campaign 2"
+function describeHistoryRun(run) {
+    const mode = SAVED_RUN_MODE_NAMES[run.mode] || run.mode;
+    if (run.mode === 'daily') return `Daily ${formatDailySeed(run.target)}`;
+    return run.target === null ? mode : `${mode} ${run.target}`;
+}
+
+// Run log on the stats screen
+function showRunHistory() {
+    const history = loadFromStorage('littlePrinceRunHistory', []);
+    const container = document.getElementById('run-history');
+    container.textContent = '';
+    document.getElementById('run-history-count').textContent = history.length;
+
+    if (history.length === 0) {
+        const message = document.createElement('p');
+        message.className = 'campaign-message';
+        message.textContent = 'No runs yet';
+        container.appendChild(message);
+        return;
+    }
+
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    for (const title of ['Date', 'Mode', 'Levels', 'Deaths', 'Time', 'Score', 'Result']) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+
+    for (const run of history) {
+        const row = table.insertRow();
+        row.insertCell().textContent = formatRunDate(run.date);
+        row.insertCell().textContent = describeHistoryRun(run);
+        row.insertCell().textContent = run.levels;
+        row.insertCell().textContent = run.deaths;
+        row.insertCell().textContent = formatSplitTime(run.time);
+        row.insertCell().textContent = run.score === null ? '-' : run.score;
+        row.insertCell().textContent = RUN_OUTCOME_NAMES[run.outcome] + (run.resumed ? ' (resumed)' : '');
+    }
+    container.appendChild(table);
+}
@@ -0,0 +1,547 @@
+// Level editor: build a layout on the game canvas, test-play it with the normal physics,
+// save it locally and export it as a share code or level JSON (see level-format.js).
+//
+// The editor works on a real Level (static planets only: orbits are not editable).
+// planets[0] is the start planet; the spawn point sits on its surface at `startAngle`.
+// The layout in progress is kept as a draft under 'littlePrinceEditorDraft' and named
+// levels under 'littlePrinceEditorLevels' ({ name: levelJSON }).
+const EDITOR_TOOLS = ['select', 'planet', 'blackHole', 'goal'];
+const EDITOR_RESIZE_MARGIN = 8; // Pointer distance (px) from an edge that grabs it for resizing
+const EDITOR_NEW_PLANET = { radius: 35, gravity: 1.0 };
+const EDITOR_NEW_BLACK_HOLE_RADIUS = 12;
+
+// Starting layout: two planets and a goal
+function createDefaultEditorData() {
+    return {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: 'My Level',
+        planets: [
+            { x: 150, y: 450, radius: 45, gravity: 1.0 },
+            { x: 450, y: 300, radius: 35, gravity: 1.0 }
+        ],
+        start: { x: 150, y: 390 },
+        goal: { x: 650, y: 150 },
+        blackHoles: []
+    };
+}
+
+// Editable Level from level JSON: orbiting planets are pinned where they start
+// Returns { level, startAngle, removedOrbits }
+function createEditorLevel(data) {
+    const level = levelFromData(data);
+    let removedOrbits = 0;
+    level.planets = level.planets.map(planet => {
+        if (!planet.orbit) return planet;
+        removedOrbits++;
+        return new Planet(planet.radius, planet.x, planet.y, planet.gravityStrength);
+    });
+
+    const start = level.planets[0];
+    const startAngle = Math.atan2(level.startPosition.y - start.y, level.startPosition.x - start.x);
+    return { level: level, startAngle: startAngle, removedOrbits: removedOrbits };
+}
+
+function showLevelEditor() {
+    hideAllMenus();
+    gameState.gameStarted = false;
+    gameState.paused = false;
+    gameState.particlePool.clear();
+
+    // Coming back from a test play keeps the layout being edited
+    if (gameState.levelEditor) {
+        gameState.levelEditor.testing = false;
+        gameState.customLevel = null;
+    } else {
+        const draft = loadFromStorage('littlePrinceEditorDraft', null);
+        const data = draft && validateLevelData(draft).length === 0 ? draft : createDefaultEditorData();
+        gameState.levelEditor = {
+            tool: 'select',
+            selection: null, // { type: 'planet' | 'blackHole' | 'goal', index }
+            drag: null, // { mode: 'move' | 'resize', offsetX, offsetY }
+            testing: false,
+            analysis: null // Check of the layout in progress (see requestLevelAnalysis)
+        };
+        setEditorLevel(createEditorLevel(data));
+    }
+
+    document.getElementById('game-status').textContent = '';
+    document.getElementById('score').textContent = 'Level Editor';
+    document.getElementById('lives').textContent = '';
+    document.getElementById('level').textContent = '';
+    document.getElementById('editor-controls').classList.remove('hidden');
+    refreshSavedEditorLevels();
+    updateEditorControls();
+}
+
+function exitLevelEditor() {
+    saveEditorDraft();
+    if (gameState.levelEditor.analysis) cancelLevelAnalysis(gameState.levelEditor.analysis);
+    gameState.levelEditor = null;
+    gameState.customLevel = null;
+    document.getElementById('editor-controls').classList.add('hidden');
+    showMainMenu();
+}
+
+// The editor is on screen (not test-playing)
+function isLevelEditorOpen() {
+    return gameState.levelEditor !== null && !gameState.levelEditor.testing;
+}
+
+function setEditorLevel(editable) {
+    const editor = gameState.levelEditor;
+    editor.level = editable.level;
+    editor.startAngle = editable.startAngle;
+    editor.selection = null;
+    editor.drag = null;
+    document.getElementById('editor-name').value = editable.level.name;
+}
+
+// Level JSON for the layout being edited
+function getEditorLevelData() {
+    const editor = gameState.levelEditor;
+    const level = editor.level;
+    const start = level.planets[0];
+    level.name = document.getElementById('editor-name').value.trim().slice(0, LEVEL_LIMITS.nameLength) || 'Custom Level';
+    level.archetype = 'custom';
+    level.startPosition = {
+        x: start.x + Math.cos(editor.startAngle) * (start.radius + 15),
+        y: start.y + Math.sin(editor.startAngle) * (start.radius + 15)
+    };
+    return levelToData(level);
+}
+
+function saveEditorDraft() {
+    if (!gameState.levelEditor) return;
+    saveToStorage('littlePrinceEditorDraft', getEditorLevelData());
+}
+
+function setEditorStatus(message, isError = false) {
+    const status = document.getElementById('editor-status');
+    status.className = isError ? 'level-code-status error' : 'level-code-status';
+    status.textContent = message;
+}
+
+function setEditorTool(tool) {
+    if (!EDITOR_TOOLS.includes(tool)) return;
+    gameState.levelEditor.tool = tool;
+    updateEditorControls();
+}
+
+// Sync the tool buttons and the selection's property sliders
+function updateEditorControls() {
+    const editor = gameState.levelEditor;
+
+    document.querySelectorAll('.editor-tool').forEach(button => {
+        button.classList.toggle('active', button.dataset.tool === editor.tool);
+    });
+
+    const selected = getEditorSelectionObject();
+    const type = editor.selection ? editor.selection.type : null;
+    const radiusInput = document.getElementById('editor-radius');
+    const gravityInput = document.getElementById('editor-gravity');
+
+    document.getElementById('editor-properties').classList.toggle('hidden', type !== 'planet' && type !== 'blackHole');
+    document.getElementById('editor-gravity-row').classList.toggle('hidden', type !== 'planet');
+    document.getElementById('editor-start-btn').disabled = type !== 'planet' || editor.selection.index === 0;
+    document.getElementById('editor-delete-btn').disabled = !selected || type === 'goal';
+
+    if (type === 'planet' || type === 'blackHole') {
+        const limits = type === 'planet' ? LEVEL_LIMITS.planetRadius : LEVEL_LIMITS.blackHoleRadius;
+        radiusInput.min = limits[0];
+        radiusInput.max = limits[1];
+        radiusInput.value = selected.radius;
+        document.getElementById('editor-radius-value').textContent = Math.round(selected.radius);
+    }
+    if (type === 'planet') {
+        gravityInput.value = selected.gravityStrength;
+        document.getElementById('editor-gravity-value').textContent = selected.gravityStrength.toFixed(2);
+    }
+}
+
+function getEditorSelectionObject() {
+    const editor = gameState.levelEditor;
+    const selection = editor.selection;
+    if (!selection) return null;
+    if (selection.type === 'planet') return editor.level.planets[selection.index];
+    if (selection.type === 'blackHole') return editor.level.blackHoles[selection.index];
+    return editor.level.goalPosition;
+}
+
+// What is under a canvas point: goal first, then black holes and planets (topmost first).
+// Returns { type, index, edge } where edge means the point is on the object's rim.
+function getEditorHit(x, y) {
+    const level = gameState.levelEditor.level;
+    const hitCircle = (object, radius) => {
+        const distance = Math.sqrt((x - object.x) ** 2 + (y - object.y) ** 2);
+        if (distance > radius + EDITOR_RESIZE_MARGIN) return null;
+        return { edge: distance >= radius - EDITOR_RESIZE_MARGIN };
+    };
+
+    if (hitCircle(level.goalPosition, level.goalRadius)) {
+        return { type: 'goal', index: 0, edge: false };
+    }
+    for (let i = level.blackHoles.length - 1; i >= 0; i--) {
+        const hit = hitCircle(level.blackHoles[i], level.blackHoles[i].radius);
+        if (hit) return { type: 'blackHole', index: i, edge: hit.edge };
+    }
+    for (let i = level.planets.length - 1; i >= 0; i--) {
+        const hit = hitCircle(level.planets[i], level.planets[i].radius);
+        if (hit) return { type: 'planet', index: i, edge: hit.edge };
+    }
+    return null;
+}
+
+// Pointer position in canvas coordinates (the canvas may be scaled by CSS or fullscreen)
+function getEditorPointer(event) {
+    const point = event.touches ? (event.touches[0] || event.changedTouches[0]) : event;
+    const rect = gameState.canvas.getBoundingClientRect();
+    return {
+        x: Math.max(0, Math.min(CANVAS_WIDTH, (point.clientX - rect.left) * CANVAS_WIDTH / rect.width)),
+        y: Math.max(0, Math.min(CANVAS_HEIGHT, (point.clientY - rect.top) * CANVAS_HEIGHT / rect.height))
+    };
+}
+
+function handleEditorPointerDown(event) {
+    if (!isLevelEditorOpen()) return;
+    event.preventDefault();
+
+    const editor = gameState.levelEditor;
+    const level = editor.level;
+    const { x, y } = getEditorPointer(event);
+    let hit = getEditorHit(x, y);
+
+    if (editor.tool === 'goal') {
+        level.goalPosition.x = x;
+        level.goalPosition.y = y;
+        hit = { type: 'goal', index: 0, edge: false };
+    } else if (!hit && editor.tool === 'planet') {
+        if (level.planets.length >= LEVEL_LIMITS.maxPlanets) {
+            setEditorStatus(`A level can have at most ${LEVEL_LIMITS.maxPlanets} planets`, true);
+        } else {
+            level.planets.push(new Planet(EDITOR_NEW_PLANET.radius, x, y, EDITOR_NEW_PLANET.gravity));
+            hit = { type: 'planet', index: level.planets.length - 1, edge: false };
+        }
+    } else if (!hit && editor.tool === 'blackHole') {
+        if (level.blackHoles.length >= LEVEL_LIMITS.maxBlackHoles) {
+            setEditorStatus(`A level can have at most ${LEVEL_LIMITS.maxBlackHoles} black holes`, true);
+        } else {
+            level.blackHoles.push(new BlackHole(x, y, EDITOR_NEW_BLACK_HOLE_RADIUS));
+            hit = { type: 'blackHole', index: level.blackHoles.length - 1, edge: false };
+        }
+    }
+
+    if (hit) {
+        editor.selection = { type: hit.type, index: hit.index };
+        const object = getEditorSelectionObject();
+        editor.drag = hit.edge
+            ? { mode: 'resize' }
+            : { mode: 'move', offsetX: object.x - x, offsetY: object.y - y };
+    } else {
+        editor.selection = null;
+        editor.drag = null;
+    }
+    updateEditorControls();
+}
+
+function handleEditorPointerMove(event) {
+    if (!isLevelEditorOpen() || !gameState.levelEditor.drag) return;
+    event.preventDefault();
+
+    const editor = gameState.levelEditor;
+    const object = getEditorSelectionObject();
+    const { x, y } = getEditorPointer(event);
+
+    if (editor.drag.mode === 'move') {
+        object.x = x + editor.drag.offsetX;
+        object.y = y + editor.drag.offsetY;
+    } else {
+        setEditorRadius(Math.sqrt((x - object.x) ** 2 + (y - object.y) ** 2));
+    }
+    updateEditorControls();
+}
+
+function handleEditorPointerUp() {
+    if (!isLevelEditorOpen() || !gameState.levelEditor.drag) return;
+    gameState.levelEditor.drag = null;
+    saveEditorDraft();
+}
+
+function setEditorRadius(radius) {
+    const editor = gameState.levelEditor;
+    const object = getEditorSelectionObject();
+    if (!object || editor.selection.type === 'goal') return;
+
+    const limits = editor.selection.type === 'planet' ? LEVEL_LIMITS.planetRadius : LEVEL_LIMITS.blackHoleRadius;
+    object.radius = Math.max(limits[0], Math.min(limits[1], Math.round(radius)));
+    document.getElementById('editor-radius-value').textContent = object.radius;
+}
+
+function setEditorGravity(gravity) {
+    const planet = getEditorSelectionObject();
+    if (!planet || gameState.levelEditor.selection.type !== 'planet') return;
+
+    planet.setGravityStrength(Math.max(LEVEL_LIMITS.gravity[0], Math.min(LEVEL_LIMITS.gravity[1], gravity)));
+    document.getElementById('editor-gravity-value').textContent = planet.gravityStrength.toFixed(2);
+}
+
+// Make the selected planet the start planet (planets[0])
+function setEditorStartPlanet() {
+    const editor = gameState.levelEditor;
+    if (!editor.selection || editor.selection.type !== 'planet') return;
+
+    const planets = editor.level.planets;
+    const [planet] = planets.splice(editor.selection.index, 1);
+    planets.unshift(planet);
+    editor.selection.index = 0;
+    editor.startAngle = -Math.PI / 2;
+    updateEditorControls();
+    saveEditorDraft();
+}
+
+function deleteEditorSelection() {
+    const editor = gameState.levelEditor;
+    const selection = editor.selection;
+    if (!selection || selection.type === 'goal') return;
+
+    if (selection.type === 'planet') {
+        if (editor.level.planets.length === 1) {
+            setEditorStatus('A level needs at least one planet', true);
+            return;
+        }
+        editor.level.planets.splice(selection.index, 1);
+    } else {
+        editor.level.blackHoles.splice(selection.index, 1);
+    }
+    editor.selection = null;
+    editor.drag = null;
+    updateEditorControls();
+    saveEditorDraft();
+}
+
+// Keyboard shortcuts while editing. Returns true when the key was used.
+function handleEditorKey(event) {
+    if (event.type !== 'keydown') return false;
+    // Leave typing in the name and code boxes alone
+    if (event.target && event.target.closest && event.target.closest('input, textarea, select')) return false;
+
+    if (event.code === 'Delete' || event.code === 'Backspace') {
+        event.preventDefault();
+        deleteEditorSelection();
+        return true;
+    }
+    if (event.code === 'Escape') {
+        gameState.levelEditor.selection = null;
+        updateEditorControls();
+        return true;
+    }
+    return false;
+}
+
+// Solve and rate the layout like a generated level, over the next frames: the status says
+// "checking" until the result is in. Returns the Level, or null when the layout isn't valid.
+function checkEditorLevel() {
+    const data = getEditorLevelData();
+    const errors = validateLevelData(data);
+    if (errors.length > 0) {
+        setEditorStatus(errors.slice(0, 5).join('\n'), true);
+        return null;
+    }
+
+    // Only the latest check counts
+    const editor = gameState.levelEditor;
+    if (editor.analysis) cancelLevelAnalysis(editor.analysis);
+
+    const level = levelFromData(data);
+    setEditorStatus('Checking the level…');
+    editor.analysis = requestLevelAnalysis(level, () => {
+        editor.analysis = null;
+        if (level.solvable) {
+            setEditorStatus(`${formatDifficulty(level)} · ${level.minHops} jump${level.minHops === 1 ? '' : 's'} to the goal`);
+        } else {
+            setEditorStatus('No way to reach the goal was found in this level', true);
+        }
+    });
+    return level;
+}
+
+// Play the layout in practice mode right away (it is checked meanwhile); quitting the game
+// comes back to the editor
+function testEditorLevel() {
+    const level = checkEditorLevel();
+    if (!level) return;
+
+    saveEditorDraft();
+    gameState.levelEditor.testing = true;
+    gameState.customLevel = level;
+    document.getElementById('editor-controls').classList.add('hidden');
+    selectMode('practice', null);
+    document.getElementById('game-status').textContent = 'Testing: press Escape and Quit to return to the editor';
+}
+
+function getSavedEditorLevels() {
+    return loadFromStorage('littlePrinceEditorLevels', {});
+}
+
+function refreshSavedEditorLevels() {
+    const select = document.getElementById('editor-saved');
+    const names = Object.keys(getSavedEditorLevels()).sort();
+    select.textContent = '';
+    for (const name of names) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.disabled = names.length === 0;
+}
+
+function saveEditorLevel() {
+    const data = getEditorLevelData();
+    const errors = validateLevelData(data);
+    if (errors.length > 0) {
+        setEditorStatus(errors.slice(0, 5).join('\n'), true);
+        return;
+    }
+
+    const levels = getSavedEditorLevels();
+    levels[data.name] = data;
+    saveToStorage('littlePrinceEditorLevels', levels);
+    saveEditorDraft();
+    refreshSavedEditorLevels();
+    document.getElementById('editor-saved').value = data.name;
+    setEditorStatus(`Saved "${data.name}"`);
+}
+
+function loadEditorLevel() {
+    const name = document.getElementById('editor-saved').value;
+    const data = getSavedEditorLevels()[name];
+    if (!data || validateLevelData(data).length > 0) {
+        setEditorStatus('Choose a saved level to load', true);
+        return;
+    }
+    setEditorLevel(createEditorLevel(data));
+    updateEditorControls();
+    saveEditorDraft();
+    setEditorStatus(`Loaded "${name}"`);
+}
+
+function deleteSavedEditorLevel() {
+    const name = document.getElementById('editor-saved').value;
+    const levels = getSavedEditorLevels();
+    if (!(name in levels)) return;
+
+    delete levels[name];
+    saveToStorage('littlePrinceEditorLevels', levels);
+    refreshSavedEditorLevels();
+    setEditorStatus(`Deleted "${name}"`);
+}
+
+function newEditorLevel() {
+    setEditorLevel(createEditorLevel(createDefaultEditorData()));
+    updateEditorControls();
+    saveEditorDraft();
+    setEditorStatus('');
+}
+
+// Put the layout's share code in the code box
+function exportEditorLevel() {
+    const data = getEditorLevelData();
+    const errors = validateLevelData(data);
+    if (errors.length > 0) {
+        setEditorStatus(errors.slice(0, 5).join('\n'), true);
+        return;
+    }
+
+    const codeBox = document.getElementById('editor-code');
+    codeBox.value = encodeLevelShareCode(data);
+    codeBox.select();
+    setEditorStatus('Share code for this level');
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(codeBox.value).then(() => {
+            setEditorStatus('Share code copied to clipboard');
+        }).catch(() => {
+            // Clipboard access denied: the code is selected in the box instead
+        });
+    }
+}
+
+function downloadEditorLevel() {
+    const data = getEditorLevelData();
+    const errors = validateLevelData(data);
+    if (errors.length > 0) {
+        setEditorStatus(errors.slice(0, 5).join('\n'), true);
+        return;
+    }
+    downloadLevelJSON(data, `little-prince-level-${data.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`);
+}
+
+// Open the share code or level JSON in the code box for editing
+function importEditorLevel() {
+    const result = parseLevelText(document.getElementById('editor-code').value);
+    if (!result.level) {
+        setEditorStatus(result.errors.slice(0, 5).join('\n'), true);
+        return;
+    }
+
+    const editable = createEditorLevel(result.level.data);
+    setEditorLevel(editable);
+    updateEditorControls();
+    saveEditorDraft();
+    const notes = [];
+    if (editable.removedOrbits > 0) {
+        notes.push(`orbits can't be edited: ${editable.removedOrbits} moving planet${editable.removedOrbits === 1 ? ' was' : 's were'} pinned in place`);
+    }
+    if (isScrollingWorld(editable.level)) {
+        // The editor has no camera: the rest of the world is kept as it is
+        notes.push(`only the first ${CANVAS_WIDTH}x${CANVAS_HEIGHT} of its ${editable.level.width}x${editable.level.height} world can be edited`);
+    }
+    setEditorStatus(notes.length > 0
+        ? `Imported "${editable.level.name}" (${notes.join('; ')})`
+        : `Imported "${editable.level.name}"`);
+}
+
+// Draw the layout being edited with the start marker and selection
+function drawLevelEditor(ctx) {
+    const editor = gameState.levelEditor;
+    const level = editor.level;
+    const time = gameState.lastFrameTime;
+
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    for (const planet of level.planets) {
+        planet.draw(ctx);
+    }
+    for (const blackHole of level.blackHoles) {
+        blackHole.draw(ctx, time);
+    }
+    drawGoal(ctx, level.goalPosition.x, level.goalPosition.y, time);
+
+    ctx.save();
+
+    // Start planet and spawn point
+    const start = level.planets[0];
+    const spawnX = start.x + Math.cos(editor.startAngle) * (start.radius + 15);
+    const spawnY = start.y + Math.sin(editor.startAngle) * (start.radius + 15);
+    ctx.fillStyle = '#ffd700';
+    ctx.beginPath();
+    ctx.arc(spawnX, spawnY, 6, 0, 2 * Math.PI);
+    ctx.fill();
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText('START', start.x, start.y + 4);
+
+    // Selection outline (dashed where the rim can be dragged to resize)
+    const selected = getEditorSelectionObject();
+    if (selected) {
+        const radius = editor.selection.type === 'goal' ? level.goalRadius : selected.radius;
+        ctx.strokeStyle = '#ffd700';
+        ctx.lineWidth = 2;
+        ctx.setLineDash(editor.selection.type === 'goal' ? [] : [6, 4]);
+        ctx.beginPath();
+        ctx.arc(selected.x, selected.y, radius + 4, 0, 2 * Math.PI);
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
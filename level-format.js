@@ -0,0 +1,353 @@
+// Level serialization: a versioned JSON format for any level layout, and a compact
+// share code (base64) for pasting a layout to someone else.
+//
+// Level JSON (version 2):
+// {
+//   format: 'little-prince-level',
+//   version: 2,
+//   name: 'Level 12',                          // optional, shown while playing
+//   archetype: 'binary',                       // optional, level design pattern
+//   world: { width, height, wrap },            // optional (version 2), default one wrapping screen
+//   planets: [{ x, y, radius, gravity, orbit? }, ...],   // planets[0] is the start planet
+//       orbit: { parent: planetIndex } or { centerX, centerY }, plus radius, speed, phase
+//   start: { x, y },                           // spawn point next to planets[0]
+//   goal: { x, y },
+//   blackHoles: [{ x, y, radius }, ...]
+// }
+// Positions are where things are at the start of the level (time 0); orbiting planets are
+// placed by their orbit. The world runs from (0, 0) to (width, height); with wrap, leaving one
+// edge comes back in at the other, without it the Little Prince is lost past the edge.
+// Version 1 files (no world) still load as they are.
+//
+// Share code: 'LP1-' + base64url(JSON of a compact array form), numbers rounded to 0.01.
+const LEVEL_FORMAT = 'little-prince-level';
+const LEVEL_FORMAT_VERSION = 2;
+const LEVEL_SHARE_PREFIX = 'LP1-';
+
+// Accepted ranges (generous around what the generator and editor produce)
+const LEVEL_LIMITS = {
+    maxPlanets: 30,
+    maxBlackHoles: 10,
+    planetRadius: [5, 150],
+    gravity: [0.01, 50],
+    blackHoleRadius: [3, 40],
+    orbitRadius: [1, 1000],
+    orbitSpeed: [-5, 5],
+    worldWidth: [CANVAS_WIDTH, CANVAS_WIDTH * 5],
+    worldHeight: [CANVAS_HEIGHT, CANVAS_HEIGHT * 5],
+    positionMargin: 1, // Positions may be up to this many world sizes outside the world
+    nameLength: 60
+};
+
+function levelToData(level) {
+    const planets = level.planets.map(planet => {
+        const position = planet.getPositionAt(0);
+        const entry = { x: position.x, y: position.y, radius: planet.radius, gravity: planet.gravityStrength };
+
+        if (planet.orbit) {
+            entry.orbit = planet.orbit.parent
+                ? { parent: level.planets.indexOf(planet.orbit.parent) }
+                : { centerX: planet.orbit.centerX, centerY: planet.orbit.centerY };
+            entry.orbit.radius = planet.orbit.radius;
+            entry.orbit.speed = planet.orbit.angularVelocity;
+            entry.orbit.phase = planet.orbit.phase;
+        }
+        return entry;
+    });
+
+    const data = {
+        format: LEVEL_FORMAT,
+        version: LEVEL_FORMAT_VERSION,
+        name: level.name || (level.custom ? 'Custom Level' : `Level ${level.seed}`),
+        archetype: level.archetype
+    };
+    // Only levels that aren't a single wrapping screen say so
+    if (level.width !== CANVAS_WIDTH || level.height !== CANVAS_HEIGHT || !level.wrap) {
+        data.world = { width: level.width, height: level.height, wrap: level.wrap };
+    }
+    data.planets = planets;
+    data.start = { x: level.startPosition.x, y: level.startPosition.y };
+    data.goal = { x: level.goalPosition.x, y: level.goalPosition.y };
+    data.blackHoles = level.blackHoles.map(blackHole => ({ x: blackHole.x, y: blackHole.y, radius: blackHole.radius }));
+    return data;
+}
+
+// Check level JSON against the schema. Returns a list of readable problems (empty when valid).
+function validateLevelData(data) {
+    const errors = [];
+    const isNumber = (value) => typeof value === 'number' && isFinite(value);
+    const checkNumber = (value, path, range) => {
+        if (!isNumber(value)) {
+            errors.push(`${path} must be a number`);
+        } else if (range && (value < range[0] || value > range[1])) {
+            errors.push(`${path} must be between ${range[0]} and ${range[1]} (got ${Math.round(value * 100) / 100})`);
+        }
+    };
+    // Positions are checked against the world size, read before them
+    let positionX = null;
+    let positionY = null;
+    const checkPoint = (point, path) => {
+        if (!point || typeof point !== 'object') {
+            errors.push(`${path} must be an object with x and y`);
+            return;
+        }
+        checkNumber(point.x, `${path}.x`, positionX);
+        checkNumber(point.y, `${path}.y`, positionY);
+    };
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['Level data must be a JSON object'];
+    }
+    if (data.format !== LEVEL_FORMAT) {
+        return [`Not a level file (format must be "${LEVEL_FORMAT}")`];
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return ['version must be a positive whole number'];
+    }
+    if (data.version > LEVEL_FORMAT_VERSION) {
+        return [`This level was made with a newer version of the game (format version ${data.version})`];
+    }
+
+    if (data.name !== undefined && (typeof data.name !== 'string' || data.name.length > LEVEL_LIMITS.nameLength)) {
+        errors.push(`name must be text of at most ${LEVEL_LIMITS.nameLength} characters`);
+    }
+    if (data.archetype !== undefined && typeof data.archetype !== 'string') {
+        errors.push('archetype must be text');
+    }
+
+    let worldWidth = CANVAS_WIDTH;
+    let worldHeight = CANVAS_HEIGHT;
+    if (data.world !== undefined) {
+        const world = data.world;
+        if (!world || typeof world !== 'object' || Array.isArray(world)) {
+            errors.push('world must be an object with width, height and wrap');
+        } else {
+            checkNumber(world.width, 'world.width', LEVEL_LIMITS.worldWidth);
+            checkNumber(world.height, 'world.height', LEVEL_LIMITS.worldHeight);
+            if (world.wrap !== undefined && typeof world.wrap !== 'boolean') {
+                errors.push('world.wrap must be true or false');
+            }
+            // A bad size is reported once, not again for every position
+            const inRange = (value, range) => isNumber(value) && value >= range[0] && value <= range[1];
+            if (inRange(world.width, LEVEL_LIMITS.worldWidth)) worldWidth = world.width;
+            if (inRange(world.height, LEVEL_LIMITS.worldHeight)) worldHeight = world.height;
+        }
+    }
+    const margin = LEVEL_LIMITS.positionMargin;
+    positionX = [-worldWidth * margin, worldWidth * (1 + margin)];
+    positionY = [-worldHeight * margin, worldHeight * (1 + margin)];
+
+    if (!Array.isArray(data.planets) || data.planets.length === 0) {
+        errors.push('planets must be a list with at least one planet');
+    } else if (data.planets.length > LEVEL_LIMITS.maxPlanets) {
+        errors.push(`A level can have at most ${LEVEL_LIMITS.maxPlanets} planets (got ${data.planets.length})`);
+    } else {
+        data.planets.forEach((planet, i) => {
+            const path = `planets[${i}]`;
+            if (!planet || typeof planet !== 'object') {
+                errors.push(`${path} must be an object`);
+                return;
+            }
+            checkPoint(planet, path);
+            checkNumber(planet.radius, `${path}.radius`, LEVEL_LIMITS.planetRadius);
+            checkNumber(planet.gravity, `${path}.gravity`, LEVEL_LIMITS.gravity);
+
+            if (planet.orbit === undefined) return;
+            const orbit = planet.orbit;
+            if (!orbit || typeof orbit !== 'object') {
+                errors.push(`${path}.orbit must be an object`);
+                return;
+            }
+            if (orbit.parent !== undefined) {
+                // Parents must come earlier in the list, which also rules out cycles
+                if (!Number.isInteger(orbit.parent) || orbit.parent < 0 || orbit.parent >= i) {
+                    errors.push(`${path}.orbit.parent must be the index of an earlier planet`);
+                }
+            } else {
+                checkNumber(orbit.centerX, `${path}.orbit.centerX`, positionX);
+                checkNumber(orbit.centerY, `${path}.orbit.centerY`, positionY);
+            }
+            checkNumber(orbit.radius, `${path}.orbit.radius`, LEVEL_LIMITS.orbitRadius);
+            checkNumber(orbit.speed, `${path}.orbit.speed`, LEVEL_LIMITS.orbitSpeed);
+            checkNumber(orbit.phase, `${path}.orbit.phase`);
+        });
+    }
+
+    checkPoint(data.start, 'start');
+    checkPoint(data.goal, 'goal');
+
+    if (data.blackHoles !== undefined) {
+        if (!Array.isArray(data.blackHoles)) {
+            errors.push('blackHoles must be a list');
+        } else if (data.blackHoles.length > LEVEL_LIMITS.maxBlackHoles) {
+            errors.push(`A level can have at most ${LEVEL_LIMITS.maxBlackHoles} black holes (got ${data.blackHoles.length})`);
+        } else {
+            data.blackHoles.forEach((blackHole, i) => {
+                checkPoint(blackHole, `blackHoles[${i}]`);
+                if (blackHole && typeof blackHole === 'object') {
+                    checkNumber(blackHole.radius, `blackHoles[${i}].radius`, LEVEL_LIMITS.blackHoleRadius);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Build a playable Level from validated level JSON
+function levelFromData(data) {
+    const planets = [];
+    data.planets.forEach((entry) => {
+        const planet = new Planet(entry.radius, entry.x, entry.y, entry.gravity);
+        if (entry.orbit) {
+            const orbit = entry.orbit;
+            planet.setOrbit({
+                parent: orbit.parent !== undefined ? planets[orbit.parent] : null,
+                centerX: orbit.centerX,
+                centerY: orbit.centerY,
+                radius: orbit.radius,
+                angularVelocity: orbit.speed,
+                phase: orbit.phase
+            });
+        }
+        planets.push(planet);
+    });
+
+    const level = new Level(planets, { x: data.start.x, y: data.start.y }, { x: data.goal.x, y: data.goal.y });
+    if (data.world) {
+        level.width = data.world.width;
+        level.height = data.world.height;
+        level.wrap = data.world.wrap !== false;
+    }
+    for (const blackHole of data.blackHoles || []) {
+        level.blackHoles.push(new BlackHole(blackHole.x, blackHole.y, blackHole.radius));
+    }
+    level.custom = true;
+    level.name = data.name || 'Custom Level';
+    level.archetype = data.archetype || 'custom';
+    level.data = data;
+    return level;
+}
+
+// Solve and rate a custom level like generated ones (no reroll: the layout is what it is).
+// This can take seconds: the game does it a slice per frame instead (requestLevelAnalysis).
+function analyzeCustomLevel(level) {
+    new LevelGenerationJob(0, 0, level).run(Infinity);
+    return level;
+}
+
+function encodeLevelShareCode(data) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const compact = [
+        data.version,
+        data.name || '',
+        data.archetype || '',
+        data.planets.map(planet => {
+            const entry = [round(planet.x), round(planet.y), round(planet.radius), Math.round(planet.gravity * 10000) / 10000];
+            if (planet.orbit) {
+                const orbit = planet.orbit;
+                entry.push([
+                    orbit.parent !== undefined ? orbit.parent : -1,
+                    orbit.parent !== undefined ? 0 : round(orbit.centerX),
+                    orbit.parent !== undefined ? 0 : round(orbit.centerY),
+                    round(orbit.radius),
+                    Math.round(orbit.speed * 10000) / 10000,
+                    Math.round(orbit.phase * 10000) / 10000
+                ]);
+            }
+            return entry;
+        }),
+        [round(data.start.x), round(data.start.y)],
+        [round(data.goal.x), round(data.goal.y)],
+        (data.blackHoles || []).map(blackHole => [round(blackHole.x), round(blackHole.y), round(blackHole.radius)])
+    ];
+    if (data.world) {
+        compact.push([round(data.world.width), round(data.world.height), data.world.wrap === false ? 0 : 1]);
+    }
+
+    // UTF-8 bytes as a binary string, so names with any characters survive btoa
+    const utf8 = encodeURIComponent(JSON.stringify(compact))
+        .replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return LEVEL_SHARE_PREFIX + btoa(utf8).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Share code -> level JSON (not yet validated). Throws with a readable message if the code is damaged.
+function decodeLevelShareCode(code) {
+    const body = code.trim().slice(LEVEL_SHARE_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+
+    let compact;
+    try {
+        const binary = atob(body);
+        let escaped = '';
+        for (let i = 0; i < binary.length; i++) {
+            escaped += '%' + binary.charCodeAt(i).toString(16).padStart(2, '0');
+        }
+        compact = JSON.parse(decodeURIComponent(escaped));
+    } catch (e) {
+        throw new Error('The share code is damaged or incomplete');
+    }
+    if (!Array.isArray(compact) || compact.length < 7 || !Array.isArray(compact[3])) {
+        throw new Error('The share code is damaged or incomplete');
+    }
+
+    const point = (pair) => (Array.isArray(pair) ? { x: pair[0], y: pair[1] } : null);
+    const world = compact[7];
+    return {
+        format: LEVEL_FORMAT,
+        version: compact[0],
+        name: compact[1] || undefined,
+        archetype: compact[2] || undefined,
+        world: Array.isArray(world) ? { width: world[0], height: world[1], wrap: world[2] !== 0 } : world,
+        planets: compact[3].map(entry => {
+            if (!Array.isArray(entry)) return null;
+            const planet = { x: entry[0], y: entry[1], radius: entry[2], gravity: entry[3] };
+            if (Array.isArray(entry[4])) {
+                const orbit = entry[4];
+                planet.orbit = orbit[0] >= 0
+                    ? { parent: orbit[0] }
+                    : { centerX: orbit[1], centerY: orbit[2] };
+                planet.orbit.radius = orbit[3];
+                planet.orbit.speed = orbit[4];
+                planet.orbit.phase = orbit[5];
+            }
+            return planet;
+        }),
+        start: point(compact[4]),
+        goal: point(compact[5]),
+        blackHoles: Array.isArray(compact[6])
+            ? compact[6].map(entry => (Array.isArray(entry) ? { x: entry[0], y: entry[1], radius: entry[2] } : null))
+            : compact[6]
+    };
+}
+
+// Read a pasted share code or level JSON text.
+// Returns { level, errors }: a playable Level, or null and the list of problems.
+function parseLevelText(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        return { level: null, errors: ['Paste a share code or level JSON first'] };
+    }
+
+    let data;
+    if (trimmed.startsWith(LEVEL_SHARE_PREFIX)) {
+        try {
+            data = decodeLevelShareCode(trimmed);
+        } catch (e) {
+            return { level: null, errors: [e.message] };
+        }
+    } else if (trimmed.startsWith('{')) {
+        try {
+            data = JSON.parse(trimmed);
+        } catch (e) {
+            return { level: null, errors: [`Invalid JSON: ${e.message}`] };
+        }
+    } else {
+        return { level: null, errors: [`Not a share code (they start with "${LEVEL_SHARE_PREFIX}") or level JSON`] };
+    }
+
+    const errors = validateLevelData(data);
+    if (errors.length > 0) {
+        return { level: null, errors: errors };
+    }
+    return { level: levelFromData(data), errors: [] };
+}
@@ -0,0 +1,120 @@
+// Level generation ahead of time. Generating a level runs the solver (see Level.generateLevel):
+// tens to hundreds of ms per layout, more when it rerolls. So the game doesn't stall on a
+// level change, the levels a run will need next are prepared in the frames before, at most
+// LEVEL_PREFETCH_FRAME_MS of solver work per frame: the candidate layouts of endless mode's next
+// level, the next level of speedrun, daily and practice, and on the menus the first levels
+// of endless and the daily challenge. Once prepared, Level.generateLevel returns them at once.
+//
+// Screens that show a level (practice preview, share code, download) ask for it with
+// requestLevel and are called back when it is ready, instead of blocking. Custom levels
+// (editor, share codes, saved runs) are solved and rated the same way with requestLevelAnalysis.
+const LEVEL_PREFETCH_FRAME_MS = 4; // Solver time per frame (ms)
+const LEVEL_PREFETCH_FLIGHTS = 2; // Simulated jumps between checks of the clock
+
+function createLevelPrefetchState() {
+    return {
+        requests: [], // { levelNumber, variant, callbacks }, oldest first
+        analyses: [] // { level, job, callback }: custom levels being checked, oldest first
+    };
+}
+
+function isLevelPrepared(levelNumber, variant = 0) {
+    return levelSolutionCache.has(`${levelNumber}:${variant}`);
+}
+
+// Call back with Level.generateLevel(levelNumber, variant): right away if it is prepared,
+// otherwise from a later frame
+function requestLevel(levelNumber, variant, callback) {
+    if (isLevelPrepared(levelNumber, variant)) {
+        callback(Level.generateLevel(levelNumber, variant));
+        return;
+    }
+
+    const requests = gameState.levelPrefetch.requests;
+    let request = requests.find(entry => entry.levelNumber === levelNumber && entry.variant === variant);
+    if (!request) {
+        request = { levelNumber: levelNumber, variant: variant, callbacks: [] };
+        requests.push(request);
+    }
+    request.callbacks.push(callback);
+}
+
+// Solve and rate a custom level over the next frames, then fill in its solvable, minHops, solution
+// and difficulty and call back with it (if there is a callback). The solver works on a copy, so
+// the level can be played meanwhile. Returns the analysis, for cancelLevelAnalysis.
+function requestLevelAnalysis(level, callback = null) {
+    const analysis = { level: level, job: new LevelGenerationJob(0, 0, levelFromData(level.data)), callback: callback };
+    gameState.levelPrefetch.analyses.push(analysis);
+    return analysis;
+}
+
+function cancelLevelAnalysis(analysis) {
+    const state = gameState.levelPrefetch;
+    state.analyses = state.analyses.filter(entry => entry !== analysis);
+}
+
+// Levels the game may load next: [[levelNumber, variant], ...]
+function getUpcomingLevels() {
+    if (gameState.replayViewer || isLevelEditorOpen()) return [];
+
+    if (!gameState.gameStarted) {
+        const firstEndless = [];
+        for (let variant = 0; variant < ENDLESS_LEVEL_VARIANTS; variant++) {
+            firstEndless.push([1, variant]);
+        }
+        return firstEndless.concat([[getDailyChallengeSeed(), 0]]);
+    }
+
+    const next = gameState.currentLevelNumber + 1;
+    if (gameState.mode === 'endless') {
+        const variants = [];
+        for (let variant = 0; variant < ENDLESS_LEVEL_VARIANTS; variant++) {
+            variants.push([next, variant]);
+        }
+        return variants;
+    } else if (gameState.mode === 'speedrun') {
+        return gameState.levelsCompleted + 1 < gameState.speedrunTarget ? [[next, 0]] : [];
+    } else if (gameState.mode === 'daily') {
+        return [[gameState.dailySeed + gameState.levelsCompleted + 1, 0]];
+    } else if (gameState.mode === 'practice' && !gameState.customLevel) {
+        return [[next, 0]];
+    }
+    return [];
+}
+
+// Spend this frame's solver time: custom levels and requested levels first, then upcoming ones
+// (call once per frame)
+function updateLevelPrefetch() {
+    const state = gameState.levelPrefetch;
+    const deadline = performance.now() + LEVEL_PREFETCH_FRAME_MS;
+
+    while (state.analyses.length > 0 && performance.now() < deadline) {
+        const analysis = state.analyses[0];
+        if (!analysis.job.run(LEVEL_PREFETCH_FLIGHTS)) continue;
+
+        state.analyses.shift();
+        const analyzed = analysis.job.level;
+        analysis.level.setSolution({ solvable: analyzed.solvable, minHops: analyzed.minHops, path: analyzed.solution }, 0);
+        analysis.level.difficulty = analyzed.difficulty;
+        if (gameState.gameStarted && gameState.currentLevel === analysis.level) updateUI(); // Shows the difficulty
+        if (analysis.callback) analysis.callback(analysis.level);
+    }
+    const wanted = state.requests.map(request => [request.levelNumber, request.variant]).concat(getUpcomingLevels());
+
+    for (const [levelNumber, variant] of wanted) {
+        let prepared = Level.prepareLevel(levelNumber, variant, 0);
+        while (!prepared && performance.now() < deadline) {
+            prepared = Level.prepareLevel(levelNumber, variant, LEVEL_PREFETCH_FLIGHTS);
+        }
+        if (!prepared) break;
+    }
+
+    // Answer the requests that are ready now
+    const ready = state.requests.filter(request => isLevelPrepared(request.levelNumber, request.variant));
+    state.requests = state.requests.filter(request => ready.indexOf(request) === -1);
+    for (const request of ready) {
+        for (const callback of request.callbacks) {
+            callback(Level.generateLevel(request.levelNumber, request.variant));
+        }
+    }
+}
@@ -0,0 +1,198 @@
+// Online leaderboards. Runs that make a local leaderboard are submitted with their replay,
+// so the server can check them by playing them back, and rankings are fetched per board
+// (the same board names as the local leaderboards: 'endless', 'speedrun<target>', 'daily_<seed>').
+//
+// The client is pluggable: any object with these methods, returning promises, can be set
+// with setLeaderboardClient:
+// - submitRun(submission) -> { board, rank }
+//   submission: { board, player, score, time, deaths, levels, date, replay }
+// - fetchRankings(board) -> [{ rank, player, score, time, deaths, levels, date }, ...] (best first)
+// Failed calls reject with an Error; `rejected: true` on it means the server refused the
+// run (it won't be accepted later either), anything else is worth trying again.
+//
+// HttpLeaderboardClient talks to a server like tools/leaderboard-server.js, at the address set
+// in the settings (saved under 'littlePrinceLeaderboardServer'); with no address, nothing is sent.
+// Submissions that can't be sent yet (offline, server down) wait in 'littlePrinceLeaderboardQueue'
+// ([{ id, submission }, ...], oldest first) and are sent on the next page load, when the browser
+// is back online, or with the next run.
+const LEADERBOARD_SERVER_KEY = 'littlePrinceLeaderboardServer';
+const LEADERBOARD_QUEUE_KEY = 'littlePrinceLeaderboardQueue';
+const LEADERBOARD_QUEUE_SIZE = 20; // Oldest waiting runs are dropped beyond this (replays are large)
+
+class HttpLeaderboardClient {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    submitRun(submission) {
+        return fetch(`${this.baseUrl}/runs`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission)
+        }).then(response => this.readResponse(response));
+    }
+
+    fetchRankings(board) {
+        return fetch(`${this.baseUrl}/leaderboards/${encodeURIComponent(board)}`)
+            .then(response => this.readResponse(response))
+            .then(body => body.entries);
+    }
+
+    // JSON body of a response; errors reported by the server (4xx) are marked as rejected
+    readResponse(response) {
+        return response.json().catch(() => ({})).then(body => {
+            if (response.ok) return body;
+
+            const reasons = Array.isArray(body.errors) ? body.errors.slice(0, 5).join('; ') : '';
+            const error = new Error(reasons || `HTTP ${response.status}`);
+            error.rejected = response.status >= 400 && response.status < 500;
+            throw error;
+        });
+    }
+}
+
+let leaderboardClient = null; // Online leaderboard client, or null when there is no server
+let leaderboardQueueBusy = false; // A queued submission is being sent
+
+function getLeaderboardClient() {
+    return leaderboardClient;
+}
+
+function setLeaderboardClient(client) {
+    leaderboardClient = client;
+    if (gameState.leaderboardView) gameState.leaderboardView.online = null;
+}
+
+// Client for the server address in the settings. Call once on page load.
+function initOnlineLeaderboard() {
+    const url = loadFromStorage(LEADERBOARD_SERVER_KEY, '');
+    setLeaderboardClient(url ? new HttpLeaderboardClient(url) : null);
+    window.addEventListener('online', () => flushLeaderboardQueue());
+    flushLeaderboardQueue();
+}
+
+// Settings: change the server address (empty turns online leaderboards off)
+function setLeaderboardServer(url) {
+    url = url.trim();
+    if (url && !/^https?:\/\//.test(url)) {
+        setLeaderboardServerStatus('The address must start with http:// or https://', true);
+        return;
+    }
+
+    saveToStorage(LEADERBOARD_SERVER_KEY, url);
+    setLeaderboardClient(url ? new HttpLeaderboardClient(url) : null);
+    setLeaderboardServerStatus(url ? 'Runs will be submitted to this server' : 'Online leaderboards are off');
+    flushLeaderboardQueue();
+}
+
+function setLeaderboardServerStatus(message, isError = false) {
+    const status = document.getElementById('leaderboard-server-status');
+    status.textContent = message;
+    status.className = isError ? 'level-code-status error' : 'level-code-status';
+}
+
+// Settings text for the server address and the runs still waiting to be sent
+function showLeaderboardServerSetting() {
+    document.getElementById('leaderboard-server').value = loadFromStorage(LEADERBOARD_SERVER_KEY, '');
+    const waiting = loadLeaderboardQueue().length;
+    setLeaderboardServerStatus(waiting > 0 ? `${waiting} run(s) waiting to be submitted` : '');
+}
+
+// Queue a run for the online leaderboard and try to send it
+function submitOnlineRun(submission) {
+    if (!getLeaderboardClient()) return;
+
+    const queue = loadLeaderboardQueue();
+    queue.push({ id: createQueuedSubmissionId(), submission: submission });
+    saveToStorage(LEADERBOARD_QUEUE_KEY, queue.slice(-LEADERBOARD_QUEUE_SIZE));
+    flushLeaderboardQueue();
+}
+
+function createQueuedSubmissionId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// The waiting runs. Queues saved before runs had ids (plain submissions) get them here.
+function loadLeaderboardQueue() {
+    const queue = loadFromStorage(LEADERBOARD_QUEUE_KEY, []);
+    if (!queue.some(queued => !queued.id)) return queue;
+
+    const upgraded = queue.map(queued => (queued.id ? queued : { id: createQueuedSubmissionId(), submission: queued }));
+    saveToStorage(LEADERBOARD_QUEUE_KEY, upgraded);
+    return upgraded;
+}
+
+function removeQueuedSubmission(id) {
+    saveToStorage(LEADERBOARD_QUEUE_KEY, loadLeaderboardQueue().filter(queued => queued.id !== id));
+}
+
+// Send the waiting runs one at a time, oldest first, until the queue is empty or the server
+// can't be reached. Resolves when done.
+function flushLeaderboardQueue() {
+    const client = getLeaderboardClient();
+    if (!client || leaderboardQueueBusy) return Promise.resolve();
+
+    const queue = loadLeaderboardQueue();
+    if (queue.length === 0) return Promise.resolve();
+
+    const queued = queue[0];
+    leaderboardQueueBusy = true;
+    return client.submitRun(queued.submission)
+        .then(() => {
+            removeQueuedSubmission(queued.id);
+            if (gameState.leaderboardView) gameState.leaderboardView.online = null;
+            return true;
+        })
+        .catch(error => {
+            if (error.rejected) {
+                console.warn('The leaderboard server refused a run:', error.message);
+                removeQueuedSubmission(queued.id);
+                return true;
+            }
+            console.warn('Could not reach the leaderboard server, the run will be submitted later:', error);
+            return false;
+        })
+        .then(sent => {
+            leaderboardQueueBusy = false;
+            if (sent) return flushLeaderboardQueue();
+        });
+}
+
+// Online rankings for the leaderboard screen, fetched once per board while the screen is open
+function renderOnlineLeaderboard() {
+    const view = gameState.leaderboardView;
+    const client = getLeaderboardClient();
+    if (!client) {
+        showLeaderboardMessage('Set a leaderboard server in the settings to see online rankings');
+        return;
+    }
+
+    const online = view.online;
+    if (online && online.board === view.board) {
+        if (online.error) {
+            showLeaderboardMessage(`Could not load the online leaderboard: ${online.error}`);
+        } else if (online.entries) {
+            showLeaderboardEntries(online.entries.map(entry => Object.assign({ profile: entry.player }, entry)));
+        } else {
+            showLeaderboardMessage('Loading...');
+        }
+        return;
+    }
+
+    const request = { board: view.board, entries: null, error: null };
+    view.online = request;
+    showLeaderboardMessage('Loading...');
+    client.fetchRankings(request.board)
+        .then(entries => {
+            request.entries = Array.isArray(entries) ? entries : [];
+        })
+        .catch(error => {
+            request.error = error.message;
+        })
+        .then(() => {
+            // Only redraw when the screen still shows this board
+            if (gameState.showLeaderboard && view.source === 'online' && view.online === request) {
+                renderLeaderboard();
+            }
+        });
+}
@@ -0,0 +1,493 @@
+// Player profiles: named players sharing one browser, each with their own records and
+// settings (storage.js keeps every profile's records apart). The active profile can be
+// exported as one JSON file, for moving to another browser or keeping a backup.
+//
+// Profile file (version 1, written with encodeStoredValue so Infinity records survive):
+// {
+//   format: 'little-prince-profile',
+//   version: 1,
+//   schema: 2,                 // STORAGE_SCHEMA_VERSION of the records
+//   exported: '2024-05-01T12:00:00.000Z',
+//   data: { 'littlePrinceStats': {...}, 'littlePrinceDaily_20240501': 1234, ... }  // storage key -> value
+// }
+// A run in progress (littlePrinceSavedRun) stays with the browser it was played in.
+//
+// Importing can replace everything with the file's records, or merge them: the best of each
+// record is kept and replays and custom levels from both sides are combined.
+const PROFILE_FORMAT = 'little-prince-profile';
+const PROFILE_FORMAT_VERSION = 1;
+const PROFILE_EXCLUDED_KEYS = STORAGE_GLOBAL_KEYS.concat(['littlePrinceSavedRun']);
+const PROFILE_NAME_MAX_LENGTH = 24;
+
+function getActiveProfile() {
+    const list = loadStorageProfiles();
+    return list.profiles.find(profile => profile.id === list.active);
+}
+
+// Problem with a name for a new profile, or null when it can be used
+function validateProfileName(name, list) {
+    if (name.length === 0) return 'Enter a name for the profile';
+    if (name.length > PROFILE_NAME_MAX_LENGTH) return `Names can be at most ${PROFILE_NAME_MAX_LENGTH} characters`;
+    if (list.profiles.some(profile => profile.name.toLowerCase() === name.toLowerCase())) {
+        return `There is already a profile called "${name}"`;
+    }
+    return null;
+}
+
+// Make a profile's records the ones the game reads and saves
+function switchProfile(profileId) {
+    const list = loadStorageProfiles();
+    if (!list.profiles.some(profile => profile.id === profileId)) return;
+
+    list.active = profileId;
+    saveStorageProfiles(list);
+    setActiveStorageProfile(profileId);
+    loadPersistentState();
+}
+
+// Add a profile with fresh records and switch to it. Returns the new profile.
+function createProfile(name) {
+    const list = loadStorageProfiles();
+    let id = `profile-${Date.now().toString(36)}`;
+    while (list.profiles.some(profile => profile.id === id)) id += '-';
+
+    const profile = { id: id, name: name };
+    list.profiles.push(profile);
+    saveStorageProfiles(list);
+    switchProfile(id);
+    return profile;
+}
+
+// Delete a profile and all of its records (the last profile can't be deleted)
+function deleteProfile(profileId) {
+    const list = loadStorageProfiles();
+    const profile = list.profiles.find(entry => entry.id === profileId);
+    if (!profile || list.profiles.length <= 1) return;
+    if (!confirm(`Delete the profile "${profile.name}" and all of its records?`)) return;
+
+    removeStorageProfile(profileId);
+    list.profiles = list.profiles.filter(entry => entry.id !== profileId);
+    if (list.active === profileId) list.active = list.profiles[0].id;
+    saveStorageProfiles(list);
+    switchProfile(list.active);
+    showProfileSelect();
+}
+
+function updateProfileButton() {
+    document.getElementById('profile-btn').textContent = `Profile: ${getActiveProfile().name}`;
+}
+
+// Profile picker: every profile with its high score, plus a new-profile form
+function showProfileSelect() {
+    hideAllMenus();
+    document.getElementById('profile-select').classList.remove('hidden');
+    document.getElementById('profile-select-status').textContent = '';
+
+    const list = loadStorageProfiles();
+    const container = document.getElementById('profile-list');
+    container.textContent = '';
+
+    for (const profile of list.profiles) {
+        const row = document.createElement('div');
+        row.className = profile.id === list.active ? 'profile-row active' : 'profile-row';
+
+        const name = document.createElement('span');
+        name.className = 'profile-name';
+        name.textContent = profile.id === list.active ? `${profile.name} (playing)` : profile.name;
+        row.appendChild(name);
+
+        if (profile.id !== list.active) {
+            const playButton = document.createElement('button');
+            playButton.className = 'preset-btn';
+            playButton.textContent = 'Play as';
+            playButton.onclick = () => {
+                switchProfile(profile.id);
+                showMainMenu();
+            };
+            row.appendChild(playButton);
+        }
+        if (list.profiles.length > 1) {
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'preset-btn';
+            deleteButton.textContent = 'Delete';
+            deleteButton.onclick = () => deleteProfile(profile.id);
+            row.appendChild(deleteButton);
+        }
+        container.appendChild(row);
+    }
+}
+
+function createProfileFromInput() {
+    const input = document.getElementById('profile-name-input');
+    const name = input.value.trim();
+    const error = validateProfileName(name, loadStorageProfiles());
+    if (error) {
+        const status = document.getElementById('profile-select-status');
+        status.className = 'level-code-status error';
+        status.textContent = error;
+        return;
+    }
+
+    createProfile(name);
+    input.value = '';
+    showMainMenu();
+}
+
+// Every saved record that belongs in a profile, as { key: value }
+function getProfileData() {
+    const data = {};
+    for (const key of listStorageKeys()) {
+        if (PROFILE_EXCLUDED_KEYS.includes(key)) continue;
+        data[key] = loadFromStorage(key);
+    }
+    return data;
+}
+
+function exportProfile() {
+    const profile = {
+        format: PROFILE_FORMAT,
+        version: PROFILE_FORMAT_VERSION,
+        schema: STORAGE_SCHEMA_VERSION,
+        exported: new Date().toISOString(),
+        data: getProfileData()
+    };
+    const date = profile.exported.slice(0, 10);
+    downloadJSONText(encodeStoredValue(profile, 2), `little-prince-profile-${date}.json`);
+    setProfileStatus('Profile exported');
+}
+
+// Check a parsed profile file. Returns a list of readable problems (empty when valid).
+function validateProfile(profile) {
+    if (!profile || typeof profile !== 'object' || profile.format !== PROFILE_FORMAT) {
+        return [`Not a profile file (format must be "${PROFILE_FORMAT}")`];
+    }
+    if (!Number.isInteger(profile.version) || profile.version < 1 || profile.version > PROFILE_FORMAT_VERSION) {
+        return [`Unsupported profile version ${profile.version}`];
+    }
+    if (!Number.isInteger(profile.schema) || profile.schema < 1) {
+        return ['schema must be a whole number'];
+    }
+    if (profile.schema > STORAGE_SCHEMA_VERSION) {
+        return ['This profile was saved by a newer version of the game'];
+    }
+    if (!profile.data || typeof profile.data !== 'object' || Array.isArray(profile.data)) {
+        return ['data must be an object'];
+    }
+
+    const errors = [];
+    for (const key in profile.data) {
+        if (!key.startsWith(STORAGE_PREFIX) || PROFILE_EXCLUDED_KEYS.includes(key)) {
+            errors.push(`${key}: not a profile record`);
+            continue;
+        }
+        const error = validateProfileValue(key, profile.data[key]);
+        if (error) errors.push(`${key}: ${error}`);
+    }
+    return errors;
+}
+
+// Shape check for one record; records this version doesn't know are taken as they are
+function validateProfileValue(key, value) {
+    const isObject = value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isScore = typeof value === 'number' && value >= 0;
+
+    if (key === 'littlePrinceHighScore' || key.startsWith(DAILY_SCORE_KEY_PREFIX)) {
+        return isScore ? null : 'must be a score';
+    }
+    if (key === 'littlePrinceVisualEffects') {
+        return typeof value === 'boolean' ? null : 'must be true or false';
+    }
+    if (key === 'littlePrinceSpeedrun') {
+        if (!isObject) return 'must be an object';
+        for (const target in value) {
+            const record = value[target];
+            if (!record || typeof record.time !== 'number' || typeof record.deaths !== 'number' ||
+                typeof record.deathlessTime !== 'number') {
+                return `record ${target} must have a time, deaths and deathlessTime`;
+            }
+        }
+        return null;
+    }
+    if (key === 'littlePrinceStats') {
+        if (!isObject) return 'must be an object';
+        for (const name in value) {
+            if (name === 'achievements') {
+                if (!Array.isArray(value.achievements)) return 'achievements must be a list';
+            } else if (typeof value[name] !== 'number') {
+                return `${name} must be a number`;
+            }
+        }
+        return null;
+    }
+    if (key === 'littlePrinceRunHistory') {
+        return Array.isArray(value) && value.every(run => run && typeof run.date === 'string')
+            ? null : 'must be a list of runs';
+    }
+    if (key === 'littlePrinceEditorLevels') {
+        if (!isObject) return 'must be an object';
+        for (const name in value) {
+            const errors = validateLevelData(value[name]);
+            if (errors.length > 0) return `level "${name}": ${errors[0]}`;
+        }
+        return null;
+    }
+    if (['littlePrinceCampaign', 'littlePrinceSplits', 'littlePrinceReplays', 'littlePrinceTrajectory',
+        'littlePrinceEditorDraft', 'littlePrinceKeyBindings', 'littlePrinceAudio'].includes(key)) {
+        return isObject ? null : 'must be an object';
+    }
+    return null;
+}
+
+// Parse and check profile file text. Returns { profile, data, errors }; data is migrated
+// to the current schema and null when the file can't be imported.
+function parseProfileText(text) {
+    let profile;
+    try {
+        profile = decodeStoredValue(text);
+    } catch (error) {
+        return { profile: null, data: null, errors: [`Not valid JSON: ${error.message}`] };
+    }
+
+    const errors = validateProfile(profile);
+    if (errors.length > 0) return { profile: profile, data: null, errors: errors };
+    return { profile: profile, data: migrateStoredData(profile.data, profile.schema), errors: [] };
+}
+
+// Better of two speedrun records: faster, then fewer deaths
+function isBetterSpeedrunRecord(record, other) {
+    if (!other) return !!record;
+    if (!record) return false;
+    return record.time < other.time || (record.time === other.time && record.deaths < other.deaths);
+}
+
+// Whether the imported profile holds the better record for a speedrun target
+function isImportedSpeedrunBetter(current, imported, target) {
+    const currentRecords = current.littlePrinceSpeedrun || {};
+    const importedRecords = imported.littlePrinceSpeedrun || {};
+    return isBetterSpeedrunRecord(importedRecords[target], currentRecords[target]);
+}
+
+// Combine one record from both profiles. `current` and `imported` are the whole profiles,
+// for records that follow another (the PB splits and replay go with the speedrun record).
+function mergeProfileValue(key, mine, theirs, current, imported) {
+    if (mine === undefined) return theirs;
+    if (theirs === undefined) return mine;
+
+    if (key === 'littlePrinceHighScore' || key.startsWith(DAILY_SCORE_KEY_PREFIX)) {
+        return Math.max(mine, theirs);
+    }
+    if (key === 'littlePrinceSpeedrun') {
+        const merged = Object.assign({}, mine);
+        for (const target in theirs) {
+            const record = merged[target];
+            const best = isBetterSpeedrunRecord(theirs[target], record) ? theirs[target] : record;
+            merged[target] = {
+                time: best.time,
+                deaths: best.deaths,
+                deathlessTime: Math.min(theirs[target].deathlessTime, record ? record.deathlessTime : Infinity)
+            };
+        }
+        return merged;
+    }
+    if (key === 'littlePrinceStats') {
+        // Highest of each total (merging a profile into itself changes nothing)
+        const merged = Object.assign({}, mine);
+        for (const name in theirs) {
+            if (name === 'achievements') {
+                merged.achievements = Array.from(new Set((mine.achievements || []).concat(theirs.achievements)));
+            } else if (typeof merged[name] !== 'number') {
+                merged[name] = theirs[name];
+            } else {
+                merged[name] = name === 'fastestLevelClear'
+                    ? Math.min(merged[name], theirs[name])
+                    : Math.max(merged[name], theirs[name]);
+            }
+        }
+        return merged;
+    }
+    if (key === 'littlePrinceCampaign') {
+        const merged = {};
+        for (const packId of new Set(Object.keys(mine).concat(Object.keys(theirs)))) {
+            const packProgress = Object.assign({}, mine[packId]);
+            const importedProgress = theirs[packId] || {};
+            for (const levelId in importedProgress) {
+                const best = packProgress[levelId];
+                const record = importedProgress[levelId];
+                packProgress[levelId] = best
+                    ? { time: Math.min(best.time, record.time), deaths: Math.min(best.deaths, record.deaths) }
+                    : record;
+            }
+            merged[packId] = packProgress;
+        }
+        return merged;
+    }
+    if (key === 'littlePrinceSplits') {
+        const merged = Object.assign({}, mine);
+        for (const target in theirs) {
+            const entry = merged[target] || {};
+            const importedEntry = theirs[target] || {};
+            const mineSegments = entry.bestSegments || [];
+            const theirSegments = importedEntry.bestSegments || [];
+            const bestSegments = [];
+            for (let i = 0; i < Math.max(mineSegments.length, theirSegments.length); i++) {
+                const segments = [mineSegments[i], theirSegments[i]].filter(segment => typeof segment === 'number');
+                bestSegments.push(segments.length > 0 ? Math.min(...segments) : null);
+            }
+            merged[target] = {
+                pb: (isImportedSpeedrunBetter(current, imported, target) ? importedEntry.pb : entry.pb) || [],
+                bestSegments: bestSegments
+            };
+        }
+        return merged;
+    }
+    if (key === 'littlePrinceReplays') {
+        // Record replays follow their record; other slots keep this browser's replay
+        const merged = Object.assign({}, theirs, mine);
+        for (const slot in theirs) {
+            const target = slot.startsWith('speedrun') ? slot.slice('speedrun'.length) : null;
+            if (target && isImportedSpeedrunBetter(current, imported, target)) merged[slot] = theirs[slot];
+        }
+        return merged;
+    }
+    if (key === 'littlePrinceRunHistory') {
+        // Runs from both, newest first; a run in both has the same date
+        const dates = new Set(mine.map(run => run.date));
+        const merged = mine.concat(theirs.filter(run => !dates.has(run.date)));
+        merged.sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+        return merged.slice(0, RUN_HISTORY_SIZE);
+    }
+    if (key === 'littlePrinceEditorLevels') {
+        // Keep both levels when the names clash
+        const merged = Object.assign({}, mine);
+        for (const name in theirs) {
+            if (!(name in merged)) {
+                merged[name] = theirs[name];
+            } else if (JSON.stringify(merged[name]) !== JSON.stringify(theirs[name])) {
+                let copyName = `${name} (imported)`;
+                for (let n = 2; copyName in merged; n++) copyName = `${name} (imported ${n})`;
+                merged[copyName] = theirs[name];
+            }
+        }
+        return merged;
+    }
+
+    // Settings, the editor draft and anything else: this browser's wins
+    return mine;
+}
+
+function mergeProfileData(current, imported) {
+    const merged = {};
+    for (const key of new Set(Object.keys(current).concat(Object.keys(imported)))) {
+        merged[key] = mergeProfileValue(key, current[key], imported[key], current, imported);
+    }
+    return merged;
+}
+
+// Make the saved profile exactly `data`, then reload it into the game
+function applyProfileData(data) {
+    for (const key of Object.keys(getProfileData())) {
+        if (!(key in data)) removeFromStorage(key);
+    }
+    for (const key in data) {
+        saveToStorage(key, data[key]);
+    }
+    pruneDailyScores();
+    loadPersistentState();
+}
+
+// Rows for the import preview: [label, text]
+function getProfileSummary(data) {
+    const formatTime = (ms) => (typeof ms === 'number' && ms !== Infinity ? formatSplitTime(ms) : '--');
+    const count = (value) => (value ? Object.keys(value).length : 0);
+    const stats = data.littlePrinceStats || {};
+    const speedrunRecords = data.littlePrinceSpeedrun || {};
+
+    let campaignCleared = 0;
+    for (const packId in data.littlePrinceCampaign || {}) {
+        campaignCleared += count(data.littlePrinceCampaign[packId]);
+    }
+
+    return [
+        ['High score', String(data.littlePrinceHighScore || 0)],
+        ['Speedrun 10', formatTime((speedrunRecords['10'] || {}).time)],
+        ['Speedrun 25', formatTime((speedrunRecords['25'] || {}).time)],
+        ['Speedrun 100', formatTime((speedrunRecords['100'] || {}).time)],
+        ['Levels completed', String(stats.totalLevelsCompleted || 0)],
+        ['Runs played', String((data.littlePrinceRunHistory || []).length)],
+        ['Achievements', `${(stats.achievements || []).length}/${ACHIEVEMENTS.length}`],
+        ['Campaign levels', String(campaignCleared)],
+        ['Daily challenge days', String(Object.keys(data).filter(key => key.startsWith(DAILY_SCORE_KEY_PREFIX)).length)],
+        ['Saved replays', String(count(data.littlePrinceReplays))],
+        ['Custom levels', String(count(data.littlePrinceEditorLevels))]
+    ];
+}
+
+function setProfileStatus(message, isError = false) {
+    const status = document.getElementById('profile-status');
+    status.textContent = message;
+    status.className = isError ? 'level-code-status error' : 'level-code-status';
+}
+
+// File picked in the settings: check it and show what importing would change
+function importProfileFile(input) {
+    const file = input.files[0];
+    input.value = ''; // Picking the same file again should still import it
+    if (!file) return;
+
+    file.text().then(text => {
+        const result = parseProfileText(text);
+        if (!result.data) {
+            setProfileStatus(result.errors.slice(0, 5).join('\n') +
+                (result.errors.length > 5 ? `\n...and ${result.errors.length - 5} more` : ''), true);
+            return;
+        }
+        showProfileImport(result.profile, result.data);
+    }).catch(error => {
+        console.warn('Could not read profile file:', error);
+        setProfileStatus(`Could not read ${file.name}`, true);
+    });
+}
+
+// Preview: this browser's records next to the file's and the merged result
+function showProfileImport(profile, data) {
+    const current = getProfileData();
+    const merged = mergeProfileData(current, data);
+    gameState.profileImport = { data: data, merged: merged };
+
+    hideAllMenus();
+    document.getElementById('profile-import').classList.remove('hidden');
+    document.getElementById('profile-import-date').textContent = profile.exported
+        ? `Exported ${new Date(profile.exported).toLocaleString()}`
+        : '';
+
+    const rows = document.getElementById('profile-import-rows');
+    rows.textContent = '';
+    const currentSummary = getProfileSummary(current);
+    const importedSummary = getProfileSummary(data);
+    const mergedSummary = getProfileSummary(merged);
+    currentSummary.forEach(([label, value], i) => {
+        const row = document.createElement('tr');
+        for (const text of [label, value, importedSummary[i][1], mergedSummary[i][1]]) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        // Replacing changes this record
+        if (value !== importedSummary[i][1]) row.className = 'changed';
+        rows.appendChild(row);
+    });
+}
+
+function confirmProfileImport(mode) {
+    const pending = gameState.profileImport;
+    gameState.profileImport = null;
+    applyProfileData(mode === 'merge' ? pending.merged : pending.data);
+
+    showSettings();
+    setProfileStatus(mode === 'merge' ? 'Profile merged' : 'Profile replaced');
+}
+
+function cancelProfileImport() {
+    gameState.profileImport = null;
+    showSettings();
+}
@@ -0,0 +1,155 @@
+// Replay viewer: plays a recorded run on the game canvas with pause, scrub and speed controls
+const REPLAY_PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Saved replays: 'last' (most recent run) and 'speedrun10' / 'speedrun25' / 'speedrun100' (record runs)
+function saveReplay(slot, replay) {
+    const replays = loadFromStorage('littlePrinceReplays', {});
+    replays[slot] = replay;
+    saveToStorage('littlePrinceReplays', replays);
+}
+
+function loadReplay(slot) {
+    const replays = loadFromStorage('littlePrinceReplays', {});
+    return replays[slot] || null;
+}
+
+function watchLastReplay() {
+    startReplayViewer(loadReplay('last'));
+}
+
+function watchSpeedrunRecord(target) {
+    startReplayViewer(loadReplay(`speedrun${target}`));
+}
+
+function startReplayViewer(replay) {
+    const status = document.getElementById('game-status');
+    if (!replay) {
+        status.textContent = 'No replay saved yet';
+        return;
+    }
+    if (!ReplayRunner.isCompatible(replay)) {
+        status.textContent = 'This replay was recorded with an older version of the game and cannot be played';
+        return;
+    }
+    status.textContent = '';
+
+    hideAllMenus();
+    gameState.gameStarted = false;
+    gameState.paused = false;
+    gameState.particlePool.clear();
+
+    const runner = new ReplayRunner(replay, { onEvent: handleReplayEvent });
+    gameState.replayViewer = {
+        runner: runner,
+        playing: true,
+        speed: 1,
+        seeking: false
+    };
+
+    // Load the first level so there is something to draw before playback starts
+    runner.applyEvents();
+    syncReplayView();
+
+    const scrub = document.getElementById('replay-scrub');
+    scrub.max = replay.ticks;
+    scrub.value = 0;
+    document.getElementById('replay-speed').value = '1';
+    document.getElementById('replay-controls').classList.remove('hidden');
+    updateReplayHUD();
+}
+
+function handleReplayEvent(type, data) {
+    // Skip effects while fast-forwarding to a scrub position
+    if (gameState.replayViewer.seeking) return;
+
+    if (type === 'level') {
+        gameState.particlePool.clear();
+    } else {
+        showSimulationEffect(type, data);
+    }
+}
+
+// Point the renderer at the replay's current level and player
+function syncReplayView() {
+    const runner = gameState.replayViewer.runner;
+    if (!runner.simulation) return;
+
+    gameState.currentLevel = runner.simulation.level;
+    gameState.player = runner.simulation.player;
+    gameState.currentTime = runner.tick * runner.replay.timestep;
+}
+
+// One physics step of playback (called from update while the viewer is open)
+function stepReplayViewer() {
+    const viewer = gameState.replayViewer;
+    if (!viewer.playing) return;
+
+    if (!viewer.runner.step()) {
+        viewer.playing = false;
+    }
+    syncReplayView();
+}
+
+function toggleReplayPlayback() {
+    const viewer = gameState.replayViewer;
+    if (!viewer) return;
+
+    // Restart from the beginning when play is pressed at the end
+    if (!viewer.playing && viewer.runner.finished) {
+        seekReplay(0);
+    }
+    viewer.playing = !viewer.playing;
+    updateReplayHUD();
+}
+
+function setReplaySpeed(speed) {
+    if (!gameState.replayViewer) return;
+    if (REPLAY_PLAYBACK_SPEEDS.includes(speed)) {
+        gameState.replayViewer.speed = speed;
+    }
+}
+
+function seekReplay(tick) {
+    const viewer = gameState.replayViewer;
+    if (!viewer) return;
+
+    viewer.seeking = true;
+    viewer.runner.seek(tick);
+    viewer.seeking = false;
+
+    gameState.particlePool.clear();
+    syncReplayView();
+    updateReplayHUD();
+}
+
+function exitReplayViewer() {
+    gameState.replayViewer = null;
+    document.getElementById('replay-controls').classList.add('hidden');
+    gameState.particlePool.clear();
+    showMainMenu();
+}
+
+// Refresh the HUD and playback controls from the replay position
+function updateReplayHUD() {
+    const viewer = gameState.replayViewer;
+    const runner = viewer.runner;
+    const replay = runner.replay;
+
+    document.getElementById('score').textContent = `Replay: ${replay.mode}`;
+    document.getElementById('lives').textContent = `Deaths: ${runner.deaths}`;
+    const level = runner.simulation ? runner.simulation.level : null;
+    document.getElementById('level').textContent = `Level: ${level ? (level.custom ? level.name : level.seed) : '-'}`;
+    updateTimerDisplay();
+
+    const formatTime = (ms) => {
+        const totalSeconds = ms / 1000;
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = (totalSeconds % 60).toFixed(1);
+        return `${minutes}:${seconds.padStart(4, '0')}`;
+    };
+    document.getElementById('replay-time').textContent =
+        `${formatTime(runner.tick * replay.timestep)} / ${formatTime(replay.ticks * replay.timestep)}`;
+    document.getElementById('replay-play-btn').textContent = viewer.playing ? '⏸' : '▶';
+
+    document.getElementById('replay-scrub').value = runner.tick;
+}
@@ -0,0 +1,360 @@
+// Input recording and deterministic replay.
+// A replay stores only what the player did; playback re-runs the same Simulation,
+// so every jump and landing comes out exactly as it was played.
+//
+// Replay format (compact, JSON-friendly):
+// {
+//   version, generator,        // REPLAY_FORMAT_VERSION, LEVEL_GENERATOR_VERSION
+//   mode, target,               // run mode and speedrun target / practice start level
+//   timestep,                   // ms per physics step
+//   settings: [[tick, gameSpeed, gravityMultiplier], ...],
+//   levels:   [[tick, seed, variant?, customLevel?], ...], // level loads (next level or restart);
+//                                                          // custom levels: index into customLevels
+//   customLevels: [levelData, ...], // level JSON of the custom levels played, each stored once
+//   inputs:   [[tick, left, right, throttle], ...],     // only when the held input changes;
+//                                                       // left/right 0 or 1, throttle 0 = full speed
+//   jumps:    [tick, ...],                              // steps that launched a jump
+//   ticks,                      // total steps in the run
+//   result: { levelsCompleted, deaths, time, score },
+//   date,
+//   resumed                     // true when the run was continued from a save (see saved-run.js)
+// }
+// "tick" is the number of physics steps the run had taken when the event applied.
+const REPLAY_FORMAT_VERSION = 1;
+
+// Records one run as it is played
+class ReplayRecorder {
+    constructor(mode, target) {
+        this.replay = {
+            version: REPLAY_FORMAT_VERSION,
+            generator: LEVEL_GENERATOR_VERSION,
+            mode: mode,
+            target: target,
+            timestep: PHYSICS_TIMESTEP,
+            settings: [],
+            levels: [],
+            inputs: [],
+            jumps: [],
+            customLevels: [],
+            ticks: 0,
+            result: null,
+            date: null
+        };
+        this.lastInput = null;
+        this.lastSettings = null;
+    }
+
+    // Carry on recording a saved run's replay
+    static resume(replay) {
+        const recorder = new ReplayRecorder(replay.mode, replay.target);
+        recorder.replay = replay;
+        recorder.replay.resumed = true;
+        recorder.lastInput = replay.inputs[replay.inputs.length - 1] || null;
+        recorder.lastSettings = replay.settings[replay.settings.length - 1] || null;
+        return recorder;
+    }
+
+    recordLevel(tick, level) {
+        if (level.custom) {
+            // Every clear and restart of a custom level loads it again: its JSON is only stored once
+            if (!this.replay.customLevels) this.replay.customLevels = []; // Saved runs from before the table
+            const json = JSON.stringify(level.data);
+            let index = this.replay.customLevels.findIndex(data => JSON.stringify(data) === json);
+            if (index === -1) {
+                index = this.replay.customLevels.length;
+                this.replay.customLevels.push(level.data);
+            }
+            this.replay.levels.push([tick, 0, 0, index]);
+        } else {
+            // The layout variant is only stored when it isn't the default
+            this.replay.levels.push(level.variant ? [tick, level.seed, level.variant] : [tick, level.seed]);
+        }
+    }
+
+    recordSettings(tick, gameSpeed, gravityMultiplier) {
+        const last = this.lastSettings;
+        if (last && last[1] === gameSpeed && last[2] === gravityMultiplier) return;
+
+        this.lastSettings = [tick, gameSpeed, gravityMultiplier];
+        this.replay.settings.push(this.lastSettings);
+    }
+
+    // frame must already be normalized (normalizeActionFrame) so playback matches exactly
+    recordInput(tick, frame) {
+        const left = frame.direction < 0 ? 1 : 0;
+        const right = frame.direction > 0 ? 1 : 0;
+        const throttle = frame.throttle < 1 ? frame.throttle : 0;
+        const last = this.lastInput;
+
+        if (!last || last[1] !== left || last[2] !== right || last[3] !== throttle) {
+            this.lastInput = [tick, left, right, throttle];
+            this.replay.inputs.push(this.lastInput);
+        }
+        if (frame.jump) {
+            this.replay.jumps.push(tick);
+        }
+    }
+
+    finish(ticks, result) {
+        this.replay.ticks = ticks;
+        this.replay.result = result;
+        this.replay.date = new Date().toISOString();
+        return this.replay;
+    }
+}
+
+// Plays a replay back step by step. DOM-free, so it also runs under Node.
+class ReplayRunner {
+    constructor(replay, options = {}) {
+        this.replay = replay;
+        this.onEvent = options.onEvent || null; // callback(type, data), also receives 'level'
+        this.checkpointInterval = options.checkpointInterval || 1200; // steps between seek checkpoints
+        this.levelCache = new Map(); // "seed:variant" or "custom:<index>" -> Level (generation is deterministic)
+        this.checkpoints = [];
+        this.reset();
+    }
+
+    // Whether this build generates the same levels the replay was recorded on
+    static isCompatible(replay) {
+        return replay && replay.version === REPLAY_FORMAT_VERSION && replay.generator === LEVEL_GENERATOR_VERSION;
+    }
+
+    // Whether a replay.levels entry loads a custom level rather than a generated one
+    static isCustomLevelEntry(entry) {
+        return entry.length > 3;
+    }
+
+    get finished() {
+        return this.tick >= this.replay.ticks;
+    }
+
+    reset() {
+        this.tick = 0;
+        this.levelIndex = 0;
+        this.settingsIndex = 0;
+        this.inputIndex = 0;
+        this.jumpIndex = 0;
+        this.levelsCompleted = 0;
+        this.deaths = 0;
+        this.simulation = null;
+        this.currentInput = createActionFrame(); // Held input at this tick
+        this.gameSpeed = DEFAULT_GAME_SPEED;
+        this.gravityMultiplier = DEFAULT_GRAVITY_MULTIPLIER;
+    }
+
+    emit(type, data) {
+        if (this.onEvent) this.onEvent(type, data);
+    }
+
+    // Action frame held from an inputs entry. Both directions held brakes, unless the
+    // entry has a throttle (joystick), which runs left.
+    static readInputEntry(entry) {
+        const left = entry[1] === 1;
+        const right = entry[2] === 1;
+        const throttle = entry[3];
+        let direction = 0;
+        if (throttle > 0) {
+            direction = left ? -1 : 1;
+        } else if (left !== right) {
+            direction = left ? -1 : 1;
+        }
+        return normalizeActionFrame({ direction: direction, throttle: throttle > 0 ? throttle : 1 });
+    }
+
+    // Level for entry `index` of replay.levels
+    getLevel(index) {
+        const entry = this.replay.levels[index];
+        if (!ReplayRunner.isCustomLevelEntry(entry)) {
+            const key = `${entry[1]}:${entry[2] || 0}`;
+            if (!this.levelCache.has(key)) this.levelCache.set(key, Level.generateLevel(entry[1], entry[2] || 0));
+            return this.levelCache.get(key);
+        }
+
+        // Older replays have the level JSON in the entry itself
+        const inline = typeof entry[3] !== 'number';
+        const key = inline ? `custom:entry${index}` : `custom:${entry[3]}`;
+        if (!this.levelCache.has(key)) {
+            this.levelCache.set(key, levelFromData(inline ? entry[3] : this.replay.customLevels[entry[3]]));
+        }
+        return this.levelCache.get(key);
+    }
+
+    // Start playback at level load `entryIndex` (of replay.levels) without simulating what came
+    // before: every load starts a fresh simulation, so the level plays exactly as it did in the
+    // run. levelsCompleted: levels cleared by then (deaths before it aren't counted).
+    startAtLevel(entryIndex, levelsCompleted) {
+        const replay = this.replay;
+        const tick = replay.levels[entryIndex][0];
+        const countBefore = (entries) => {
+            let count = 0;
+            while (count < entries.length && entries[count][0] < tick) count++;
+            return count;
+        };
+
+        this.reset();
+        this.tick = tick;
+        this.levelIndex = entryIndex;
+        this.levelsCompleted = levelsCompleted;
+
+        this.settingsIndex = countBefore(replay.settings);
+        if (this.settingsIndex > 0) {
+            const settings = replay.settings[this.settingsIndex - 1];
+            this.gameSpeed = settings[1];
+            this.gravityMultiplier = settings[2];
+        }
+        this.inputIndex = countBefore(replay.inputs);
+        if (this.inputIndex > 0) {
+            this.currentInput = ReplayRunner.readInputEntry(replay.inputs[this.inputIndex - 1]);
+        }
+        this.jumpIndex = replay.jumps.filter(jumpTick => jumpTick < tick).length;
+    }
+
+    // Apply level loads and settings changes scheduled for the current tick
+    applyEvents() {
+        const replay = this.replay;
+
+        while (this.settingsIndex < replay.settings.length && replay.settings[this.settingsIndex][0] <= this.tick) {
+            const entry = replay.settings[this.settingsIndex++];
+            this.gameSpeed = entry[1];
+            this.gravityMultiplier = entry[2];
+        }
+
+        while (this.levelIndex < replay.levels.length && replay.levels[this.levelIndex][0] <= this.tick) {
+            const entryIndex = this.levelIndex++;
+            const seed = replay.levels[entryIndex][1];
+            this.simulation = new Simulation(this.getLevel(entryIndex), {
+                gameSpeed: this.gameSpeed,
+                gravityMultiplier: this.gravityMultiplier,
+                timestep: replay.timestep,
+                onEvent: (type, data) => this.emit(type, data)
+            });
+            this.emit('level', { seed: seed });
+        }
+
+        if (this.simulation) {
+            this.simulation.gameSpeed = this.gameSpeed;
+            this.simulation.gravityMultiplier = this.gravityMultiplier;
+        }
+
+        while (this.inputIndex < replay.inputs.length && replay.inputs[this.inputIndex][0] <= this.tick) {
+            const entry = replay.inputs[this.inputIndex++];
+            this.currentInput = ReplayRunner.readInputEntry(entry);
+        }
+    }
+
+    // Advance one physics step. Returns false once the replay has ended.
+    step() {
+        if (this.finished) return false;
+
+        if (this.tick % this.checkpointInterval === 0 && !this.checkpoints[this.tick / this.checkpointInterval]) {
+            this.checkpoints[this.tick / this.checkpointInterval] = this.saveCheckpoint();
+        }
+
+        this.applyEvents();
+
+        const jumps = this.replay.jumps;
+        const jump = this.jumpIndex < jumps.length && jumps[this.jumpIndex] === this.tick;
+        if (jump) this.jumpIndex++;
+
+        const status = this.simulation.step(Object.assign({}, this.currentInput, { jump: jump }));
+        if (status === 'dead') {
+            // Same as handlePlayerDeath: respawn on the same level
+            this.deaths++;
+            this.simulation.resetPlayer();
+        } else if (status === 'complete') {
+            // The next level load is recorded at the following tick
+            this.levelsCompleted++;
+        }
+
+        this.tick++;
+        return true;
+    }
+
+    // Jump to any tick. Going backwards restores the nearest checkpoint and re-simulates.
+    seek(targetTick) {
+        targetTick = Math.max(0, Math.min(targetTick, this.replay.ticks));
+
+        if (targetTick < this.tick) {
+            const index = Math.min(Math.floor(targetTick / this.checkpointInterval), this.checkpoints.length - 1);
+            if (index >= 0 && this.checkpoints[index]) {
+                this.restoreCheckpoint(this.checkpoints[index]);
+            } else {
+                this.reset();
+            }
+        }
+
+        while (this.tick < targetTick && this.step()) {
+            // Keep stepping
+        }
+    }
+
+    saveCheckpoint() {
+        const simulation = this.simulation;
+        let player = null;
+        if (simulation) {
+            player = Object.assign({}, simulation.player);
+            player.trail = simulation.player.trail.map(point => Object.assign({}, point));
+        }
+
+        return {
+            tick: this.tick,
+            levelIndex: this.levelIndex,
+            settingsIndex: this.settingsIndex,
+            inputIndex: this.inputIndex,
+            jumpIndex: this.jumpIndex,
+            levelsCompleted: this.levelsCompleted,
+            deaths: this.deaths,
+            currentInput: Object.assign({}, this.currentInput),
+            gameSpeed: this.gameSpeed,
+            gravityMultiplier: this.gravityMultiplier,
+            simulationTick: simulation ? simulation.tick : 0,
+            simulationTime: simulation ? simulation.time : 0,
+            simulationPreviousTime: simulation ? simulation.previousTime : 0,
+            status: simulation ? simulation.status : 'running',
+            player: player
+        };
+    }
+
+    restoreCheckpoint(checkpoint) {
+        this.reset();
+        Object.assign(this, {
+            tick: checkpoint.tick,
+            levelIndex: checkpoint.levelIndex,
+            settingsIndex: checkpoint.settingsIndex,
+            inputIndex: checkpoint.inputIndex,
+            jumpIndex: checkpoint.jumpIndex,
+            levelsCompleted: checkpoint.levelsCompleted,
+            deaths: checkpoint.deaths,
+            currentInput: Object.assign({}, checkpoint.currentInput),
+            gameSpeed: checkpoint.gameSpeed,
+            gravityMultiplier: checkpoint.gravityMultiplier
+        });
+
+        if (this.levelIndex === 0) return;
+
+        const simulation = new Simulation(this.getLevel(this.levelIndex - 1), {
+            gameSpeed: this.gameSpeed,
+            gravityMultiplier: this.gravityMultiplier,
+            timestep: this.replay.timestep,
+            onEvent: (type, data) => this.emit(type, data)
+        });
+        Object.assign(simulation.player, checkpoint.player);
+        simulation.player.trail = checkpoint.player.trail.map(point => Object.assign({}, point));
+        simulation.player.onEvent = (type, data) => simulation.emit(type, data);
+        simulation.tick = checkpoint.simulationTick;
+        simulation.time = checkpoint.simulationTime;
+        simulation.previousTime = checkpoint.simulationPreviousTime;
+        simulation.level.setTime(simulation.time, simulation.previousTime);
+        simulation.status = checkpoint.status;
+        this.simulation = simulation;
+        this.emit('level', { seed: simulation.level.seed });
+    }
+
+    // Run to the end and report what happened (for verification)
+    runToEnd() {
+        while (this.step()) {
+            // Keep stepping
+        }
+        return { levelsCompleted: this.levelsCompleted, deaths: this.deaths, ticks: this.tick };
+    }
+}
@@ -0,0 +1,209 @@
+// Save and continue a run in progress, so closing the tab doesn't lose a long endless run
+// or speedrun. The run is saved on pause, when the page is hidden and after every level;
+// it is cleared when the run ends (see finishRecording).
+//
+// A continued run starts the level it was saved on from the beginning, with the clock,
+// deaths, lives and score where they were. Its replay carries on from the save, with a
+// restart at that point. Resumed speedruns can't set records or best segments.
+//
+// Saved under 'littlePrinceSavedRun':
+// {
+//   version, generator,               // SAVED_RUN_VERSION, LEVEL_GENERATOR_VERSION
+//   mode, speedrunTarget, currentLevelNumber, levelsCompleted,
+//   lives, deaths, score, nearMisses,
+//   ticks, levelStartTick, levelStartDeaths,  // run clock (physics steps) and current level start
+//   level: { seed, variant } | { data },      // generated level, or level JSON for custom levels
+//   daily,                            // daily challenge seed (daily runs only)
+//   campaign: { packId, index, levelStartTick, levelStartDeaths },  // campaign runs only
+//   splits,                           // speedrun split times so far
+//   replay,                           // the run's replay up to the save
+//   date
+// }
+const SAVED_RUN_KEY = 'littlePrinceSavedRun';
+const SAVED_RUN_VERSION = 1;
+const SAVED_RUN_MODE_NAMES = {
+    endless: 'Endless',
+    speedrun: 'Speedrun',
+    daily: 'Daily Challenge',
+    practice: 'Practice',
+    campaign: 'Campaign'
+};
+
+// Runs worth saving: a real run being played (not a replay or a level editor test play)
+function canSaveRun() {
+    return gameState.gameStarted && gameState.recorder && !gameState.replayViewer && !gameState.levelEditor;
+}
+
+function saveRun() {
+    if (!canSaveRun()) return;
+
+    const level = gameState.currentLevel;
+    const run = {
+        version: SAVED_RUN_VERSION,
+        generator: LEVEL_GENERATOR_VERSION,
+        mode: gameState.mode,
+        speedrunTarget: gameState.speedrunTarget,
+        currentLevelNumber: gameState.currentLevelNumber,
+        levelsCompleted: gameState.levelsCompleted,
+        lives: gameState.lives,
+        deaths: gameState.deaths,
+        score: gameState.score,
+        nearMisses: gameState.nearMisses,
+        ticks: gameState.simulationTicks,
+        levelStartTick: gameState.levelStartTick,
+        levelStartDeaths: gameState.levelStartDeaths,
+        level: level.custom ? { data: level.data } : { seed: level.seed, variant: level.variant },
+        replay: gameState.recorder.replay,
+        date: new Date().toISOString()
+    };
+
+    if (gameState.mode === 'daily') {
+        run.daily = gameState.dailySeed;
+    } else if (gameState.mode === 'speedrun') {
+        run.splits = gameState.splits;
+    } else if (gameState.mode === 'campaign') {
+        const campaign = gameState.campaign;
+        run.campaign = {
+            packId: campaign.pack.id,
+            index: campaign.index,
+            levelStartTick: campaign.levelStartTick,
+            levelStartDeaths: campaign.levelStartDeaths
+        };
+    }
+
+    saveToStorage(SAVED_RUN_KEY, run);
+}
+
+function clearSavedRun() {
+    removeFromStorage(SAVED_RUN_KEY);
+}
+
+// The saved run, or null when there is none or it can no longer be continued
+// (older save format, changed level generator, or yesterday's daily challenge)
+function loadSavedRun() {
+    const run = loadFromStorage(SAVED_RUN_KEY, null);
+    if (!run || typeof run !== 'object') return null;
+
+    if (run.version !== SAVED_RUN_VERSION || run.generator !== LEVEL_GENERATOR_VERSION ||
+        !SAVED_RUN_MODE_NAMES[run.mode] || !run.level || !run.replay) {
+        return null;
+    }
+    if (run.mode === 'daily' && run.daily !== getDailyChallengeSeed()) return null;
+    return run;
+}
+
+// Campaign runs need their level pack, which loads after the page
+function getSavedRunPackIndex(run) {
+    if (!gameState.campaignPacks) return -1;
+    return gameState.campaignPacks.findIndex(pack => pack.id === run.campaign.packId);
+}
+
+// "Speedrun 25: level 12, 3:04.5"
+function describeSavedRun(run) {
+    let levelNumber = run.currentLevelNumber;
+    if (run.mode === 'daily') {
+        levelNumber = run.levelsCompleted + 1;
+    } else if (run.mode === 'campaign') {
+        levelNumber = run.campaign.index + 1;
+    }
+
+    const name = run.mode === 'speedrun'
+        ? `${SAVED_RUN_MODE_NAMES.speedrun} ${run.speedrunTarget}`
+        : SAVED_RUN_MODE_NAMES[run.mode];
+    const where = run.level.data && run.mode === 'practice' ? run.level.data.name || 'Custom Level' : `level ${levelNumber}`;
+    return `${name}: ${where}, ${formatSplitTime(run.ticks * PHYSICS_TIMESTEP)}`;
+}
+
+// Show the main menu's Continue button when there is a run to continue
+function updateContinueButton() {
+    const button = document.getElementById('continue-btn');
+    const run = loadSavedRun();
+    button.classList.toggle('hidden', !run);
+    if (!run) return;
+
+    const waitingForPack = run.mode === 'campaign' && !gameState.campaignPacks;
+    button.disabled = waitingForPack;
+    button.textContent = `Continue ${describeSavedRun(run)}`;
+}
+
+// Pick the saved run back up where it was left
+function continueSavedRun() {
+    const run = loadSavedRun();
+    if (!run) {
+        updateContinueButton();
+        return;
+    }
+
+    let level;
+    if (run.level.data) {
+        const errors = validateLevelData(run.level.data);
+        if (errors.length > 0) {
+            console.warn('Saved run has an invalid level:', errors.slice(0, 5).join('; '));
+            clearSavedRun();
+            updateContinueButton();
+            return;
+        }
+        level = levelFromData(run.level.data);
+    } else {
+        level = Level.generateLevel(run.level.seed, run.level.variant || 0);
+    }
+
+    gameState.campaign = null;
+    if (run.mode === 'campaign') {
+        const packIndex = getSavedRunPackIndex(run);
+        if (packIndex === -1) {
+            console.warn(`Saved run's level pack "${run.campaign.packId}" is not available`);
+            return;
+        }
+        const pack = gameState.campaignPacks[packIndex];
+        gameState.campaign = {
+            pack: pack,
+            packIndex: packIndex,
+            levels: getCampaignLevels(pack),
+            index: run.campaign.index,
+            levelStartTick: run.campaign.levelStartTick,
+            levelStartDeaths: run.campaign.levelStartDeaths
+        };
+    }
+
+    hideAllMenus();
+    gameState.mode = run.mode;
+    gameState.dailySeed = run.mode === 'daily' ? run.daily : null;
+    gameState.gameStarted = true;
+    gameState.showMenu = false;
+    gameState.paused = false;
+    gameState.resumedRun = true;
+    gameState.speedrunTarget = run.speedrunTarget;
+    gameState.currentLevelNumber = run.currentLevelNumber;
+    gameState.levelsCompleted = run.levelsCompleted;
+    gameState.lives = run.lives;
+    gameState.deaths = run.deaths;
+    gameState.score = run.score;
+    gameState.nearMisses = run.nearMisses;
+    gameState.startTime = performance.now();
+    gameState.simulationTicks = run.ticks;
+    gameState.currentTime = run.ticks * PHYSICS_TIMESTEP;
+    gameState.levelStartTick = run.levelStartTick;
+    gameState.levelStartDeaths = run.levelStartDeaths;
+    gameState.physicsAccumulator = 0;
+
+    // Custom practice levels are played again on every clear (their difficulty shows once checked)
+    gameState.customLevel = run.mode === 'practice' && level.custom ? level : null;
+    if (gameState.customLevel) requestLevelAnalysis(level);
+
+    gameState.ghost = run.mode === 'speedrun' ? loadGhost(run.speedrunTarget) : null;
+    gameState.ghostDelta = null;
+    if (run.mode === 'speedrun') {
+        startSplits(run.speedrunTarget);
+        gameState.splits = Array.isArray(run.splits) ? run.splits : [];
+    }
+
+    // Keep recording into the saved replay; loading the level records the restart
+    gameState.recorder = ReplayRecorder.resume(run.replay);
+    loadLevel(gameState.customLevel || level);
+
+    document.getElementById('game-status').textContent = run.mode === 'speedrun'
+        ? 'Run resumed. Resumed speedruns do not count for records.'
+        : 'Run resumed.';
+    updateUI();
+}
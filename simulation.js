@@ -0,0 +1,178 @@
+// Headless simulation: steps one level's physics without a canvas, DOM or gameState.
+// The browser game drives one of these per level; Node tools, bots and replay
+// verification can drive it directly (see tools/headless.js).
+//
+// Input is one action frame per step (see input.js): direction, throttle and jump are played,
+// restart and pause are left to the caller. Partial frames are fine ({} holds nothing).
+//
+// Events (onEvent): 'land', 'jump', 'death' ({ x, y, cause }: 'blackHole', or 'lost' off the edge
+// of a world that doesn't wrap), 'goal' and 'nearMiss' (a flight that came within
+// BLACK_HOLE_NEAR_MISS_DISTANCE of a black hole and made it to safety: { x, y, clearance })
+class Simulation {
+    constructor(level, options = {}) {
+        this.level = level;
+        // Numbers are used as given (0 included); only missing ones fall back to the defaults
+        const option = (value, fallback) => (typeof value === 'number' ? value : fallback);
+        this.gameSpeed = option(options.gameSpeed, DEFAULT_GAME_SPEED);
+        this.gravityMultiplier = option(options.gravityMultiplier, DEFAULT_GRAVITY_MULTIPLIER);
+        this.timestep = option(options.timestep, PHYSICS_TIMESTEP); // ms per step
+        this.onEvent = options.onEvent || null; // callback(type, data)
+
+        this.tick = 0; // Steps simulated on this level (across respawns)
+        this.time = option(options.time, 0); // Game time on this level in seconds (moves orbiting planets)
+        this.previousTime = this.time; // Game time at the previous step
+        this.status = 'running'; // 'running', 'dead' or 'complete'
+        this.player = null;
+        this.nearMissClearance = null; // Closest approach to a black hole on the current near miss
+        this.prediction = null; // Last predictJump result and what it was computed for
+
+        this.level.setTime(this.time);
+        this.resetPlayer();
+    }
+
+    emit(type, data) {
+        if (this.onEvent) this.onEvent(type, data);
+    }
+
+    // Place a fresh player on the level's start planet (following it if it has moved)
+    resetPlayer() {
+        const planet = this.level.planets[0];
+        const origin = planet.getPositionAt(0);
+        this.player = new Player(
+            this.level.startPosition.x + planet.x - origin.x,
+            this.level.startPosition.y + planet.y - origin.y,
+            planet
+        );
+        this.player.onEvent = (type, data) => this.emit(type, data);
+        this.status = 'running';
+        this.nearMissClearance = null;
+    }
+
+    // Advance one fixed step. Returns the resulting status.
+    step(frame = {}) {
+        if (this.status !== 'running') return this.status;
+
+        const input = normalizeActionFrame(frame);
+        const player = this.player;
+
+        // Store previous position BEFORE physics update for swept collision detection
+        player.prevX = player.x;
+        player.prevY = player.y;
+
+        if (input.jump && player.onPlanet && !player.hasJumped) {
+            player.jump();
+        }
+
+        // Convert to seconds and apply time dilation (speed slider)
+        const dt = this.timestep * 0.001 * this.gameSpeed;
+
+        // Move orbiting planets first; the player rides along or lands against their new position
+        this.previousTime = this.time;
+        this.time += dt;
+        this.level.setTime(this.time, this.previousTime);
+
+        player.updatePhysics(this.level, input, dt, this.gravityMultiplier);
+        this.tick++;
+
+        if (this.level.checkBlackHoleCollision(player)) {
+            this.status = 'dead';
+            this.emit('death', { x: player.x, y: player.y, cause: 'blackHole' });
+        } else if (this.level.checkGoal(player)) {
+            this.status = 'complete';
+            this.emit('goal', { x: player.x, y: player.y });
+        } else if (this.level.isLost(player)) {
+            this.status = 'dead';
+            this.emit('death', { x: player.x, y: player.y, cause: 'lost' });
+        }
+
+        if (this.status !== 'dead') this.checkNearMiss();
+
+        return this.status;
+    }
+
+    // Track flights that pass through the near-miss range of a black hole. The near miss counts
+    // once the player is safe (has landed or reached the goal); dying first cancels it.
+    checkNearMiss() {
+        const player = this.player;
+
+        if (!player.onPlanet && this.status === 'running') {
+            for (const blackHole of this.level.blackHoles) {
+                const dx = player.x - blackHole.x;
+                const dy = player.y - blackHole.y;
+                const clearance = Math.sqrt(dx * dx + dy * dy) - blackHole.radius - player.radius;
+                if (clearance < BLACK_HOLE_NEAR_MISS_DISTANCE) {
+                    this.nearMissClearance = this.nearMissClearance === null ? clearance : Math.min(this.nearMissClearance, clearance);
+                }
+            }
+        } else if (this.nearMissClearance !== null) {
+            this.emit('nearMiss', { x: player.x, y: player.y, clearance: Math.max(0, this.nearMissClearance) });
+            this.nearMissClearance = null;
+        }
+    }
+
+    // Predict the flight path if the player jumped on the next step, by running the same
+    // physics on a copy of the player and of the level's planets (no input held), so the level
+    // being played is left alone. Stops at the first landing, the goal, a black hole or after
+    // maxTicks steps. The result is kept until the player (or, with moving planets, time) moves.
+    // Returns { points: [x0, y0, x1, y1, ...], end: 'land' | 'goal' | 'blackHole' | 'lost' | null }
+    predictJump(maxTicks) {
+        const points = [];
+        if (this.status !== 'running' || !this.player.onPlanet) return { points: points, end: null };
+
+        const player = this.player;
+        const key = [player.x, player.y, player.angularSpeed, maxTicks, this.gameSpeed, this.gravityMultiplier,
+            this.level.hasMovingPlanets ? this.time : 0].join(':');
+        if (this.prediction && this.prediction.key === key) return this.prediction.result;
+
+        const level = this.level.clonePlanets();
+        const preview = new Simulation(level, {
+            gameSpeed: this.gameSpeed,
+            gravityMultiplier: this.gravityMultiplier,
+            timestep: this.timestep,
+            time: this.time
+        });
+        Object.assign(preview.player, player);
+        preview.player.currentPlanet = level.planets[this.level.planets.indexOf(player.currentPlanet)] || null;
+        preview.player.trail = [];
+
+        let end = null;
+        preview.player.onEvent = (type) => {
+            if (type === 'land') end = 'land';
+        };
+
+        points.push(preview.player.x, preview.player.y);
+        let input = { jump: true };
+        for (let i = 0; i < maxTicks; i++) {
+            const status = preview.step(input);
+            input = {};
+            points.push(preview.player.x, preview.player.y);
+
+            if (status === 'dead') {
+                end = level.isLost(preview.player) ? 'lost' : 'blackHole';
+            } else if (status === 'complete') {
+                end = 'goal';
+            }
+            if (end) break;
+        }
+
+        const result = { points: points, end: end };
+        this.prediction = { key: key, result: result };
+        return result;
+    }
+
+    // Step until the level ends, the input runs out or maxTicks is reached.
+    // inputs: array of frames (one per step) or function(tick, simulation) returning a frame
+    // (return null to stop).
+    run(inputs, maxTicks = Infinity) {
+        const startTick = this.tick;
+
+        while (this.status === 'running' && this.tick - startTick < maxTicks) {
+            const index = this.tick - startTick;
+            const input = typeof inputs === 'function' ? inputs(this.tick, this) : inputs[index];
+            if (!input) break;
+            this.step(input);
+        }
+
+        return { status: this.status, ticks: this.tick - startTick };
+    }
+}
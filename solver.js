@@ -0,0 +1,179 @@
+// Level solver: checks that a level's goal can actually be reached, using the real physics.
+// From each planet the player can get to, it tries jumps at sampled launch angles and
+// speeds in both running directions, and follows every flight with the same Simulation
+// the game uses until it lands, reaches the goal, hits a black hole or times out.
+// A breadth-first search over planets gives the minimum number of jumps to the goal.
+// When planets move, launches are also tried at several points of the longest orbit
+// (the player can always wait on a planet for the right moment).
+//
+// Levels are solved at the default game speed and gravity (the settings levels are designed for).
+// "Unsolvable" means no sampled launch works: a level that needs finer aim than the
+// fine pass is treated as unwinnable in practice.
+const SOLVER_LAUNCH_TIME_SAMPLES = 4; // Launch moments per orbit on levels with moving planets
+
+const SOLVER_PASSES = [
+    // Quick pass: solves almost every level
+    { angleSamples: 16, speedSamples: [0.6, 0.75, 0.9, 1.0], flightSeconds: 2.5 },
+    // Fine pass for small targets (precision levels), only run when the quick pass fails
+    { angleSamples: 48, speedSamples: [0.5, 0.6, 0.7, 0.75, 0.8, 0.85, 0.9, 0.95, 1.0], flightSeconds: 4 }
+];
+
+class LevelSolver {
+    constructor(level, options = {}) {
+        this.level = level;
+        const pass = SOLVER_PASSES[0];
+        this.angleSamples = options.angleSamples || pass.angleSamples;
+        this.speedSamples = options.speedSamples || pass.speedSamples;
+        this.maxFlightTicks = Math.round((options.flightSeconds || pass.flightSeconds) * 1000 / PHYSICS_TIMESTEP);
+
+        this.simulation = new Simulation(level, {
+            gameSpeed: DEFAULT_GAME_SPEED,
+            gravityMultiplier: DEFAULT_GRAVITY_MULTIPLIER
+        });
+        this.search = null; // Search in progress (see advance)
+        this.result = null;
+    }
+
+    // Solve with the quick pass, falling back to the fine pass
+    static check(level) {
+        let result = null;
+        for (const pass of SOLVER_PASSES) {
+            result = new LevelSolver(level, pass).solve();
+            if (result.solvable) break;
+        }
+        return result;
+    }
+
+    // Fly one jump from planet `planetIndex`. launch: { angle, speed, time } - the angle
+    // (radians around the planet), signed speed (fraction of max running speed, negative =
+    // counter-clockwise) and game time of the jump (where moving planets are).
+    // Returns { end: 'land' | 'goal' | 'blackHole' | 'lost' | null, planet: index landed on }.
+    // Pass an array as `trace` to collect the flight path ([x0, y0, x1, y1, ...]).
+    simulateJump(planetIndex, launch, trace = null) {
+        const simulation = this.simulation;
+        simulation.time = launch.time;
+        this.level.setTime(launch.time);
+
+        const planet = this.level.planets[planetIndex];
+        const player = new Player(planet.x, planet.y, planet);
+
+        const surfaceDistance = planet.radius + player.radius + 2;
+        player.angle = launch.angle;
+        player.x = planet.x + Math.cos(launch.angle) * surfaceDistance;
+        player.y = planet.y + Math.sin(launch.angle) * surfaceDistance;
+        player.angularSpeed = launch.speed * player.baseAngularSpeed;
+
+        let landedOn = null;
+        player.onEvent = (type, data) => {
+            if (type === 'land') landedOn = data.planet;
+        };
+        simulation.player = player;
+        simulation.status = 'running';
+        simulation.nearMissClearance = null;
+
+        let input = { jump: true };
+        for (let i = 0; i < this.maxFlightTicks; i++) {
+            const status = simulation.step(input);
+            input = {};
+            if (trace) trace.push(player.x, player.y);
+
+            if (status === 'complete') return { end: 'goal', planet: null };
+            if (status === 'dead') return { end: this.level.isLost(player) ? 'lost' : 'blackHole', planet: null };
+            if (landedOn) return { end: 'land', planet: this.level.planets.indexOf(landedOn) };
+        }
+        return { end: null, planet: null };
+    }
+
+    // Every sampled launch from a planet: [{ angle, speed, time }]
+    getLaunches() {
+        const times = [0];
+        const period = this.level.getLongestOrbitPeriod();
+        for (let t = 1; period > 0 && t < SOLVER_LAUNCH_TIME_SAMPLES; t++) {
+            times.push(period * t / SOLVER_LAUNCH_TIME_SAMPLES);
+        }
+
+        const launches = [];
+        for (const time of times) {
+            for (let a = 0; a < this.angleSamples; a++) {
+                const angle = (a / this.angleSamples) * Math.PI * 2;
+                for (const speed of this.speedSamples) {
+                    launches.push({ angle: angle, speed: speed, time: time });
+                    launches.push({ angle: angle, speed: -speed, time: time });
+                }
+            }
+        }
+        return launches;
+    }
+
+    // Breadth-first search from the start planet.
+    // Returns { solvable, minHops, path: [{ planet, angle, speed, time }, ...] } where path lists
+    // the jumps of one shortest solution.
+    solve() {
+        while (!this.result) {
+            this.advance(Infinity);
+        }
+        return this.result;
+    }
+
+    // Carry on the search for at most `maxFlights` simulated jumps, so it can be spread over
+    // several calls (see LevelGenerationJob). Returns the number of flights simulated; `result`
+    // is set (as solve() returns it) once the search is over.
+    advance(maxFlights) {
+        if (!this.search) {
+            this.search = {
+                launches: this.getLaunches(),
+                reachedBy: new Map([[0, null]]), // How each planet was first reached: { from, launch } (null for the start planet)
+                frontier: [0],
+                next: [],
+                hops: 1,
+                planet: 0, // Position in the frontier
+                launch: 0 // Next launch to try from that planet
+            };
+        }
+        const search = this.search;
+        let flights = 0;
+
+        while (!this.result && flights < maxFlights) {
+            if (search.planet >= search.frontier.length) {
+                if (search.next.length === 0) {
+                    this.result = { solvable: false, minHops: null, path: [] };
+                    break;
+                }
+                search.frontier = search.next;
+                search.next = [];
+                search.hops++;
+                search.planet = 0;
+                search.launch = 0;
+                continue;
+            }
+
+            const planetIndex = search.frontier[search.planet];
+            const launch = search.launches[search.launch];
+            const result = this.simulateJump(planetIndex, launch);
+            flights++;
+
+            if (result.end === 'goal') {
+                const path = [Object.assign({ planet: planetIndex }, launch)];
+                let step = search.reachedBy.get(planetIndex);
+                while (step) {
+                    path.unshift(Object.assign({ planet: step.from }, step.launch));
+                    step = search.reachedBy.get(step.from);
+                }
+                this.result = { solvable: true, minHops: search.hops, path: path };
+                break;
+            }
+
+            if (result.end === 'land' && result.planet >= 0 && !search.reachedBy.has(result.planet)) {
+                search.reachedBy.set(result.planet, { from: planetIndex, launch: launch });
+                search.next.push(result.planet);
+            }
+
+            search.launch++;
+            if (search.launch >= search.launches.length) {
+                search.launch = 0;
+                search.planet++;
+            }
+        }
+        return flights;
+    }
+}
@@ -0,0 +1,203 @@
+// Speedrun splits: the run time at every level completion, compared against the
+// personal-best run's splits, plus best individual segments and sum of best.
+//
+// Saved per speedrun target under 'littlePrinceSplits':
+// { '10': { pb: [ms, ...], bestSegments: [ms, ...] }, ... }
+// - pb: cumulative run time at each level of the record run
+// - bestSegments: fastest time ever spent on each level of the run (kept even from unfinished runs)
+const SPLIT_PANEL_ROWS = 6;
+
+function loadSplitRecords(target) {
+    const records = loadFromStorage('littlePrinceSplits', {});
+    const entry = records[target.toString()] || {};
+    return {
+        pb: Array.isArray(entry.pb) ? entry.pb : [],
+        bestSegments: Array.isArray(entry.bestSegments) ? entry.bestSegments : []
+    };
+}
+
+function saveSplitRecords(target, entry) {
+    const records = loadFromStorage('littlePrinceSplits', {});
+    records[target.toString()] = entry;
+    saveToStorage('littlePrinceSplits', records);
+}
+
+// Reset split tracking at the start of a speedrun
+function startSplits(target) {
+    const records = loadSplitRecords(target);
+    gameState.splits = [];
+    gameState.splitRecords = records;
+    // Snapshot of what this run is compared against (records change as the run goes)
+    gameState.splitComparison = {
+        pb: records.pb.slice(),
+        bestSegments: records.bestSegments.slice()
+    };
+}
+
+// Record a split when a speedrun level is completed
+function recordSplit() {
+    const splits = gameState.splits;
+    const index = splits.length;
+    const segment = gameState.currentTime - (index > 0 ? splits[index - 1] : 0);
+    splits.push(gameState.currentTime);
+
+    const records = gameState.splitRecords;
+    const best = records.bestSegments[index];
+    // Resumed runs don't count for records, best segments included
+    if (!gameState.resumedRun && (typeof best !== 'number' || segment < best)) {
+        records.bestSegments[index] = segment;
+        saveSplitRecords(gameState.speedrunTarget, records);
+    }
+}
+
+// Store this run's splits as the new PB comparison
+function saveSplitsAsPersonalBest() {
+    gameState.splitRecords.pb = gameState.splits.slice();
+    saveSplitRecords(gameState.speedrunTarget, gameState.splitRecords);
+}
+
+// Sum of the best segments: the theoretical best time. Null until every level has a segment.
+function getSumOfBest(bestSegments, target) {
+    let sum = 0;
+    for (let i = 0; i < target; i++) {
+        if (typeof bestSegments[i] !== 'number') return null;
+        sum += bestSegments[i];
+    }
+    return sum;
+}
+
+function getSegmentTime(splits, index) {
+    return splits[index] - (index > 0 ? splits[index - 1] : 0);
+}
+
+// Delta (ms) of split `index` against the PB, or null when there's nothing to compare
+function getSplitDelta(index) {
+    const pbSplit = gameState.splitComparison.pb[index];
+    if (typeof pbSplit !== 'number' || index >= gameState.splits.length) return null;
+    return gameState.splits[index] - pbSplit;
+}
+
+// A segment faster than any before this run
+function isGoldSegment(index) {
+    const best = gameState.splitComparison.bestSegments[index];
+    return typeof best !== 'number' || getSegmentTime(gameState.splits, index) < best;
+}
+
+function formatSplitTime(ms) {
+    if (typeof ms !== 'number' || !isFinite(ms)) return '--:--';
+    const totalSeconds = ms / 1000;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = (totalSeconds % 60).toFixed(1);
+    return `${minutes}:${seconds.padStart(4, '0')}`;
+}
+
+function getSplitColor(index, delta) {
+    if (isGoldSegment(index)) return '#ffd700';
+    if (delta === null) return '#ffffff';
+    return delta <= 0 ? '#00ff64' : '#ff4d4d';
+}
+
+// Live split panel in the top-right corner: recent levels with their delta
+// against the PB, the current level's running time and upcoming PB splits
+function drawSplitPanel(ctx) {
+    if (gameState.mode !== 'speedrun' || !gameState.gameStarted || !gameState.splits) return;
+
+    const target = gameState.speedrunTarget;
+    const current = gameState.splits.length;
+    const pb = gameState.splitComparison.pb;
+    const first = Math.max(0, Math.min(current - 2, target - SPLIT_PANEL_ROWS));
+    const last = Math.min(target, first + SPLIT_PANEL_ROWS);
+
+    const width = 170;
+    const rowHeight = 18;
+    const x = CANVAS_WIDTH - width - 10;
+    const y = 10;
+    const height = (last - first + 1) * rowHeight + 10;
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(x, y, width, height);
+    ctx.font = '12px monospace';
+    ctx.textBaseline = 'middle';
+
+    for (let i = first; i < last; i++) {
+        const rowY = y + 5 + (i - first + 0.5) * rowHeight;
+
+        if (i === current) {
+            ctx.fillStyle = 'rgba(74, 144, 226, 0.35)';
+            ctx.fillRect(x, rowY - rowHeight / 2, width, rowHeight);
+        }
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = i <= current ? '#ffffff' : '#888888';
+        ctx.fillText(`Level ${i + 1}`, x + 8, rowY);
+
+        ctx.textAlign = 'right';
+        if (i < current) {
+            const delta = getSplitDelta(i);
+            ctx.fillStyle = getSplitColor(i, delta);
+            ctx.fillText(delta === null ? formatSplitTime(gameState.splits[i]) : formatSplitDelta(delta), x + width - 8, rowY);
+        } else if (i === current && typeof pb[i] === 'number' && gameState.currentTime > pb[i]) {
+            // Already behind the PB split for this level
+            ctx.fillStyle = '#ff4d4d';
+            ctx.fillText(formatSplitDelta(gameState.currentTime - pb[i]), x + width - 8, rowY);
+        } else {
+            ctx.fillStyle = '#888888';
+            ctx.fillText(formatSplitTime(pb[i]), x + width - 8, rowY);
+        }
+    }
+
+    // Sum of best
+    const sumOfBest = getSumOfBest(gameState.splitRecords.bestSegments, target);
+    const footerY = y + 5 + (last - first + 0.5) * rowHeight;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#aaaaaa';
+    ctx.fillText('Sum of Best', x + 8, footerY);
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#ffd700';
+    ctx.fillText(formatSplitTime(sumOfBest), x + width - 8, footerY);
+
+    ctx.restore();
+}
+
+// Full split table on the completion screen
+function showSplitTable() {
+    const container = document.getElementById('split-table');
+    container.textContent = '';
+
+    if (gameState.mode !== 'speedrun' || !gameState.splits || gameState.splits.length === 0) {
+        container.classList.add('hidden');
+        return;
+    }
+    container.classList.remove('hidden');
+
+    const table = document.createElement('table');
+    const header = table.insertRow();
+    for (const title of ['Level', 'Split', 'Segment', 'vs PB']) {
+        const cell = document.createElement('th');
+        cell.textContent = title;
+        header.appendChild(cell);
+    }
+
+    gameState.splits.forEach((split, i) => {
+        const row = table.insertRow();
+        const delta = getSplitDelta(i);
+        row.insertCell().textContent = i + 1;
+        row.insertCell().textContent = formatSplitTime(split);
+
+        const segmentCell = row.insertCell();
+        segmentCell.textContent = formatSplitTime(getSegmentTime(gameState.splits, i));
+        if (isGoldSegment(i)) segmentCell.className = 'gold';
+
+        const deltaCell = row.insertCell();
+        deltaCell.textContent = delta === null ? '-' : formatSplitDelta(delta);
+        if (delta !== null) deltaCell.className = delta <= 0 ? 'ahead' : 'behind';
+    });
+
+    container.appendChild(table);
+
+    const sumOfBest = getSumOfBest(gameState.splitRecords.bestSegments, gameState.speedrunTarget);
+    const footer = document.createElement('p');
+    footer.textContent = `Sum of Best: ${formatSplitTime(sumOfBest)}`;
+    container.appendChild(footer);
+}
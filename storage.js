@@ -0,0 +1,291 @@
+// Persistent storage: every saved record goes through here. Values are stored as JSON that
+// keeps Infinity and NaN intact (plain JSON turns them into null), in localStorage, or in
+// memory for the session when localStorage is unavailable (disabled or blocked storage).
+//
+// Records belong to a player profile: a key like 'littlePrinceStats' is stored as
+// 'littlePrinceProfile:<profile id>:littlePrinceStats' for the active profile. Only the schema
+// version, the profile list ('littlePrinceProfiles') and the leaderboards ('littlePrinceLeaderboards',
+// 'littlePrinceLeaderboardServer', 'littlePrinceLeaderboardQueue') are shared by all profiles.
+//
+// The layout of the saved records has a schema version, saved under 'littlePrinceSchemaVersion'.
+// When the layout changes, bump STORAGE_SCHEMA_VERSION and add a step to STORAGE_MIGRATIONS
+// that upgrades saves from the version before; initStorage runs the steps a save still needs,
+// once for every profile.
+//
+// Keys (per profile):
+// - littlePrinceHighScore, littlePrinceSpeedrun, littlePrinceStats: records
+// - littlePrinceDaily_<seed>: best daily challenge score of a day (kept for DAILY_SCORE_KEEP_DAYS)
+// - littlePrinceVisualEffects, littlePrinceTrajectory, littlePrinceKeyBindings, littlePrinceAudio: settings
+// - littlePrinceCampaign, littlePrinceSplits, littlePrinceReplays, littlePrinceSavedRun,
+//   littlePrinceEditorDraft, littlePrinceEditorLevels, littlePrinceRunHistory: see the modules that use them
+const STORAGE_PREFIX = 'littlePrince';
+const STORAGE_SCHEMA_KEY = 'littlePrinceSchemaVersion';
+const STORAGE_SCHEMA_VERSION = 2;
+const STORAGE_PROFILES_KEY = 'littlePrinceProfiles'; // { active: id, profiles: [{ id, name }] }
+const STORAGE_GLOBAL_KEYS = [STORAGE_SCHEMA_KEY, STORAGE_PROFILES_KEY, 'littlePrinceLeaderboards',
+    'littlePrinceLeaderboardServer', 'littlePrinceLeaderboardQueue'];
+const STORAGE_PROFILE_PREFIX = 'littlePrinceProfile:';
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'Player';
+const DAILY_SCORE_KEY_PREFIX = 'littlePrinceDaily_';
+const DAILY_SCORE_KEEP_DAYS = 30;
+
+// Stand-in for localStorage that lasts until the page is closed
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        const keys = Array.from(this.items.keys());
+        return index < keys.length ? keys[index] : null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+let storageBackend = null; // localStorage, or a MemoryStorage when it can't be used
+let activeStorageProfile = DEFAULT_PROFILE_ID; // Profile whose records are read and written
+
+function getStorageBackend() {
+    if (storageBackend) return storageBackend;
+
+    try {
+        const probeKey = `${STORAGE_PREFIX}StorageProbe`;
+        localStorage.setItem(probeKey, '1');
+        localStorage.removeItem(probeKey);
+        storageBackend = localStorage;
+    } catch (error) {
+        console.warn('localStorage is unavailable, progress will only be kept until the page is closed:', error);
+        storageBackend = new MemoryStorage();
+    }
+    return storageBackend;
+}
+
+// Non-finite numbers are stored as { $number: 'Infinity' | '-Infinity' | 'NaN' }
+function encodeStoredValue(value, space) {
+    return JSON.stringify(value, (key, item) =>
+        typeof item === 'number' && !Number.isFinite(item) ? { $number: String(item) } : item, space);
+}
+
+function decodeStoredValue(text) {
+    return JSON.parse(text, (key, item) => {
+        if (item && typeof item === 'object' && typeof item.$number === 'string' && Object.keys(item).length === 1) {
+            return Number(item.$number);
+        }
+        return item;
+    });
+}
+
+// Where a record is kept: in the active profile, unless it's shared by all profiles
+function getStorageKey(key, profileId = activeStorageProfile) {
+    return STORAGE_GLOBAL_KEYS.includes(key) ? key : `${STORAGE_PROFILE_PREFIX}${profileId}:${key}`;
+}
+
+function loadFromStorage(key, defaultValue = null) {
+    try {
+        const item = getStorageBackend().getItem(getStorageKey(key));
+        return item ? decodeStoredValue(item) : defaultValue;
+    } catch (error) {
+        console.warn(`Failed to load ${key} from storage:`, error);
+        return defaultValue;
+    }
+}
+
+function saveToStorage(key, value) {
+    try {
+        getStorageBackend().setItem(getStorageKey(key), encodeStoredValue(value));
+    } catch (error) {
+        console.warn(`Failed to save ${key} to storage:`, error);
+    }
+}
+
+function removeFromStorage(key) {
+    try {
+        getStorageBackend().removeItem(getStorageKey(key));
+    } catch (error) {
+        console.warn(`Failed to remove ${key} from storage:`, error);
+    }
+}
+
+// Keys as stored in the backend (all profiles) starting with `prefix`
+function listBackendKeys(prefix) {
+    const backend = getStorageBackend();
+    const keys = [];
+    for (let i = 0; i < backend.length; i++) {
+        const key = backend.key(i);
+        if (key !== null && key.startsWith(prefix)) keys.push(key);
+    }
+    return keys;
+}
+
+// The active profile's record keys starting with `prefix`
+function listStorageKeys(prefix = STORAGE_PREFIX) {
+    const profilePrefix = getStorageKey('');
+    return listBackendKeys(profilePrefix + prefix).map(key => key.slice(profilePrefix.length));
+}
+
+// Profile list, creating the first profile when there is none yet
+function loadStorageProfiles() {
+    const list = loadFromStorage(STORAGE_PROFILES_KEY, null);
+    if (list && Array.isArray(list.profiles) && list.profiles.length > 0) {
+        if (!list.profiles.some(profile => profile.id === list.active)) list.active = list.profiles[0].id;
+        return list;
+    }
+
+    // Records saved before there were profiles become the first profile's
+    const created = { active: DEFAULT_PROFILE_ID, profiles: [{ id: DEFAULT_PROFILE_ID, name: DEFAULT_PROFILE_NAME }] };
+    const backend = getStorageBackend();
+    for (const key of listBackendKeys(STORAGE_PREFIX)) {
+        if (STORAGE_GLOBAL_KEYS.includes(key) || key.startsWith(STORAGE_PROFILE_PREFIX)) continue;
+        try {
+            backend.setItem(getStorageKey(key, DEFAULT_PROFILE_ID), backend.getItem(key));
+            backend.removeItem(key);
+        } catch (error) {
+            console.warn(`Failed to move ${key} into the first profile:`, error);
+        }
+    }
+    saveToStorage(STORAGE_PROFILES_KEY, created);
+    return created;
+}
+
+function saveStorageProfiles(list) {
+    saveToStorage(STORAGE_PROFILES_KEY, list);
+}
+
+function setActiveStorageProfile(profileId) {
+    activeStorageProfile = profileId;
+}
+
+// Delete every record of a profile
+function removeStorageProfile(profileId) {
+    for (const key of listBackendKeys(getStorageKey('', profileId))) {
+        try {
+            getStorageBackend().removeItem(key);
+        } catch (error) {
+            console.warn(`Failed to remove ${key} from storage:`, error);
+        }
+    }
+}
+
+function getDailyScoreKey(seed) {
+    return `${DAILY_SCORE_KEY_PREFIX}${seed}`;
+}
+
+// Migration steps in order; each upgrades a save from the schema version before it
+const STORAGE_MIGRATIONS = [
+    {
+        // Version 1 (unversioned) saved plain JSON, so Infinity records came back as null
+        version: 2,
+        migrate() {
+            const speedrunRecords = loadFromStorage('littlePrinceSpeedrun', null);
+            if (speedrunRecords) {
+                for (const target in speedrunRecords) {
+                    const record = speedrunRecords[target];
+                    for (const field of ['time', 'deaths', 'deathlessTime']) {
+                        if (typeof record[field] !== 'number') record[field] = Infinity;
+                    }
+                }
+                saveToStorage('littlePrinceSpeedrun', Object.assign(createDefaultSpeedrunRecords(), speedrunRecords));
+            }
+
+            // Stats added over time are missing from older saves
+            const stats = loadFromStorage('littlePrinceStats', null);
+            if (stats) {
+                const migrated = Object.assign(createDefaultStats(), stats);
+                if (typeof migrated.fastestLevelClear !== 'number') migrated.fastestLevelClear = Infinity;
+                saveToStorage('littlePrinceStats', migrated);
+            }
+
+            const savedRun = loadFromStorage('littlePrinceSavedRun', null);
+            if (savedRun && savedRun.lives === null) {
+                savedRun.lives = Infinity;
+                saveToStorage('littlePrinceSavedRun', savedRun);
+            }
+        }
+    }
+];
+
+// Bring every profile's records up to the current schema, drop old daily scores and make
+// the last used profile active. Call once on page load.
+function initStorage() {
+    let version = loadFromStorage(STORAGE_SCHEMA_KEY, null);
+    if (typeof version !== 'number') {
+        // Saves from before the schema version are version 1; a fresh browser has nothing to migrate
+        version = listBackendKeys(STORAGE_PREFIX).length > 0 ? 1 : STORAGE_SCHEMA_VERSION;
+    }
+    if (version > STORAGE_SCHEMA_VERSION) {
+        console.warn(`Saved data has schema version ${version}, newer than this version of the game (${STORAGE_SCHEMA_VERSION})`);
+    }
+
+    const profiles = loadStorageProfiles();
+    for (const profile of profiles.profiles) {
+        setActiveStorageProfile(profile.id);
+        if (version < STORAGE_SCHEMA_VERSION) runStorageMigrations(version);
+        pruneDailyScores();
+    }
+    setActiveStorageProfile(profiles.active);
+
+    if (version <= STORAGE_SCHEMA_VERSION) saveToStorage(STORAGE_SCHEMA_KEY, STORAGE_SCHEMA_VERSION);
+}
+
+// Run the migration steps after `version` on the current storage
+function runStorageMigrations(version) {
+    for (const step of STORAGE_MIGRATIONS) {
+        if (step.version <= version) continue;
+        try {
+            step.migrate();
+        } catch (error) {
+            console.warn(`Failed to migrate saved data to schema version ${step.version}:`, error);
+        }
+    }
+}
+
+// Upgrade records saved with an older schema ({ key: value }, e.g. from an exported profile)
+// without touching the real storage: the migrations run on a copy in memory
+function migrateStoredData(data, version) {
+    if (version >= STORAGE_SCHEMA_VERSION) return data;
+
+    const backend = storageBackend;
+    storageBackend = new MemoryStorage();
+    try {
+        for (const key in data) {
+            saveToStorage(key, data[key]);
+        }
+        runStorageMigrations(version);
+
+        const migrated = {};
+        for (const key of listStorageKeys()) {
+            migrated[key] = loadFromStorage(key);
+        }
+        return migrated;
+    } finally {
+        storageBackend = backend;
+    }
+}
+
+// Only recent daily challenge scores are worth keeping
+function pruneDailyScores() {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - DAILY_SCORE_KEEP_DAYS);
+    const oldestSeed = getDailyChallengeSeed(cutoff);
+
+    for (const key of listStorageKeys(DAILY_SCORE_KEY_PREFIX)) {
+        const seed = parseInt(key.slice(DAILY_SCORE_KEY_PREFIX.length), 10);
+        if (!(seed >= oldestSeed)) removeFromStorage(key);
+    }
+}
@@ -0,0 +1,36 @@
+// Check a campaign level pack: validate it, then solve and rate every level so pack
+// authors can see that each one is winnable and how the difficulty ramps.
+//
+// Usage: node tools/check-campaign.js [levels/campaign.json]
+
+const fs = require('fs');
+const path = require('path');
+const { loadSimulation } = require('./headless');
+
+const file = process.argv[2] || path.join(__dirname, '..', 'levels', 'campaign.json');
+const game = loadSimulation();
+const pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const errors = game.validateCampaignPack(pack);
+if (errors.length > 0) {
+    console.log(`${file} is not a valid level pack:`);
+    for (const error of errors) console.log(`  ${error}`);
+    process.exit(1);
+}
+
+let unsolvable = 0;
+for (const entry of game.getCampaignLevels(pack)) {
+    const level = game.analyzeCustomLevel(game.levelFromData(entry.data));
+    const label = `${entry.chapterIndex + 1}-${entry.number} ${entry.id}`.padEnd(24);
+    if (level.solvable) {
+        console.log(`${label} ${level.minHops} jump(s), difficulty ${level.difficulty.rating}`);
+    } else {
+        console.log(`${label} UNSOLVABLE`);
+        unsolvable++;
+    }
+}
+
+if (unsolvable > 0) {
+    console.log(`${unsolvable} level(s) could not be solved`);
+    process.exit(1);
+}
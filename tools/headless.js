@@ -0,0 +1,99 @@
+// Run the game simulation under Node, without a browser page.
+// The browser scripts are loaded into a sandbox as-is, so tests, bots and
+// replay verification use exactly the same physics code as the game.
+//
+// Usage: node tools/headless.js [levelNumber] [maxSeconds]
+// Runs a simple bot (run to full speed, then jump) on the level and prints the events.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Browser scripts with no DOM dependencies, in load order
+const SIMULATION_SCRIPTS = [
+    'constants.js',
+    'input.js',
+    'game-classes.js',
+    'simulation.js',
+    'solver.js',
+    'difficulty.js',
+    'level-format.js',
+    'campaign.js',
+    'replay.js',
+    'ghost.js'
+];
+
+// Globals the loaded scripts expose to Node callers
+const EXPORTED_NAMES = [
+    'Level',
+    'Planet',
+    'BlackHole',
+    'Player',
+    'Simulation',
+    'InputSystem',
+    'createActionFrame',
+    'normalizeActionFrame',
+    'LevelSolver',
+    'estimateDifficulty',
+    'levelToData',
+    'levelFromData',
+    'analyzeCustomLevel',
+    'validateCampaignPack',
+    'getCampaignLevels',
+    'parseLevelText',
+    'encodeLevelShareCode',
+    'ReplayRecorder',
+    'ReplayRunner',
+    'Ghost',
+    'PHYSICS_TIMESTEP',
+    'DEFAULT_GAME_SPEED',
+    'DEFAULT_GRAVITY_MULTIPLIER',
+    'ENDLESS_LEVEL_VARIANTS',
+    'getDailyChallengeSeed',
+    'calculateRunScore'
+];
+
+function loadSimulation() {
+    const context = vm.createContext({ console, btoa, atob });
+
+    for (const file of SIMULATION_SCRIPTS) {
+        const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    }
+
+    // Top-level class/const declarations live in the script scope, not on the context object
+    return vm.runInContext(`({ ${EXPORTED_NAMES.join(', ')} })`, context);
+}
+
+module.exports = { loadSimulation };
+
+if (require.main === module) {
+    const levelNumber = parseInt(process.argv[2], 10) || 1;
+    const maxSeconds = parseFloat(process.argv[3]) || 10;
+    const game = loadSimulation();
+
+    const level = game.Level.generateLevel(levelNumber);
+    const simulation = new game.Simulation(level, {
+        onEvent: (type, data) => {
+            const time = (simulation.tick * simulation.timestep / 1000).toFixed(2);
+            console.log(`${time}s ${type} at (${Math.round(data.x)}, ${Math.round(data.y)})`);
+        }
+    });
+
+    // Bot: hold right until max speed, then release and jump
+    const bot = (tick, sim) => {
+        const player = sim.player;
+        const atMaxSpeed = Math.abs(player.angularSpeed) >= player.baseAngularSpeed;
+        return {
+            direction: player.onPlanet && !atMaxSpeed ? 1 : 0,
+            jump: player.onPlanet && atMaxSpeed
+        };
+    };
+
+    const maxTicks = Math.round(maxSeconds * 1000 / game.PHYSICS_TIMESTEP);
+    const result = simulation.run(bot, maxTicks);
+    console.log(`Level ${levelNumber} (${level.archetype}): ${result.status} after ${result.ticks} steps`);
+    console.log(`Solver: ${level.solvable ? `solvable in ${level.minHops} jump(s)` : 'unsolvable'}, ${level.rerolls} reroll(s), difficulty ${level.difficulty.rating}`);
+}
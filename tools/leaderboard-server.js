@@ -0,0 +1,291 @@
+// Mock online leaderboard server, for developing the online leaderboards (online-leaderboard.js)
+// without a real backend. Every submitted run is checked by playing its replay back with the
+// game's own simulation; rankings are kept in memory until the server stops.
+//
+// Usage: node tools/leaderboard-server.js [port]
+// Then set http://localhost:<port> as the leaderboard server in the game's settings.
+//
+// API (JSON, CORS open to any page):
+// - POST /runs  { board, player, score, time, deaths, levels, date, replay }
+//   -> 200 { board, rank } (rank null when the run didn't make the board), 400 { errors: [...] }
+// - GET /leaderboards/<board>  -> 200 { board, entries: [{ rank, player, score, time, deaths, levels, date }] }
+//
+// Runs are checked synchronously as they arrive, and the server answers nothing else meanwhile.
+// The replay length and levels are capped before playing anything back (MAX_REPLAY_TICKS,
+// MAX_REPLAY_LEVELS, ...): at the caps a check takes a few seconds of simulation, plus the first
+// generation of each level (tens to hundreds of ms, cached for later runs). That is fine for
+// development, but anyone who can reach the server can keep it busy: don't expose it publicly.
+
+const http = require('http');
+const { loadSimulation } = require('./headless');
+
+const DEFAULT_PORT = 8787;
+const BOARD_SIZE = 100;
+const MAX_BODY_SIZE = 5 * 1024 * 1024;
+const MAX_REPLAY_TICKS = 60 * 60 * 120; // An hour of play (120 physics steps per second)
+const MAX_REPLAY_LEVELS = 200; // Different levels played
+const MAX_REPLAY_LEVEL_LOADS = 5000; // Levels played, restarts included
+const PLAYER_NAME_MAX_LENGTH = 24;
+const SPEEDRUN_TARGETS = [10, 25, 100];
+
+// Mode, target and first level seed a board's runs are played with, or null for unknown boards
+function parseBoard(board) {
+    if (board === 'endless') return { mode: 'endless', target: null, seed: 1 };
+
+    const speedrun = /^speedrun(\d+)$/.exec(board);
+    if (speedrun && SPEEDRUN_TARGETS.includes(Number(speedrun[1]))) {
+        return { mode: 'speedrun', target: Number(speedrun[1]), seed: 1 };
+    }
+
+    const daily = /^daily_(\d{8})$/.exec(board);
+    if (daily) return { mode: 'daily', target: null, seed: Number(daily[1]) };
+    return null;
+}
+
+function isScoreBoard(board) {
+    return board === 'endless' || board.startsWith('daily_');
+}
+
+// Same order as the game's local leaderboards (compareLeaderboardEntries)
+function compareEntries(board, a, b) {
+    if (isScoreBoard(board)) return b.score - a.score || a.time - b.time;
+    return a.time - b.time || a.deaths - b.deaths;
+}
+
+// Check a submission by replaying it. Returns a list of readable errors, empty when the
+// run is genuine: the board's levels in order, with the claimed result.
+function validateSubmission(game, submission) {
+    const errors = [];
+    if (!submission || typeof submission !== 'object') return ['Submission must be an object'];
+
+    const board = parseBoard(submission.board);
+    if (!board) errors.push(`Unknown leaderboard "${submission.board}"`);
+    if (typeof submission.player !== 'string' || !submission.player.trim() ||
+        submission.player.length > PLAYER_NAME_MAX_LENGTH) {
+        errors.push(`Player name must be 1-${PLAYER_NAME_MAX_LENGTH} characters`);
+    }
+    for (const field of ['time', 'deaths', 'levels']) {
+        if (typeof submission[field] !== 'number' || !(submission[field] >= 0)) errors.push(`${field} must be a number`);
+    }
+    if (board && board.mode !== 'speedrun' && typeof submission.score !== 'number') errors.push('score must be a number');
+
+    const replay = submission.replay;
+    if (!replay || typeof replay !== 'object' || !Array.isArray(replay.levels) || !Array.isArray(replay.inputs) ||
+        !Array.isArray(replay.jumps) || !Array.isArray(replay.settings)) {
+        errors.push('A replay of the run is required');
+        return errors;
+    }
+    if (!game.ReplayRunner.isCompatible(replay)) errors.push('The replay was recorded with a different version of the game');
+    if (replay.timestep !== game.PHYSICS_TIMESTEP) errors.push('The replay has the wrong timestep');
+    if (errors.length > 0) return errors;
+
+    // Entries playback relies on: [tick, ...] arrays (jumps are plain ticks), starting with a level
+    const isEntry = entry => Array.isArray(entry) && Number.isInteger(entry[0]);
+    if (!replay.levels.every(entry => isEntry(entry) && Number.isInteger(entry[1]))) {
+        errors.push('Every level entry must be [tick, seed, ...] with whole numbers');
+    } else if (replay.levels.length === 0 || replay.levels[0][0] !== 0) {
+        errors.push('The replay must start with a level at tick 0');
+    }
+    if (!replay.settings.every(isEntry) || !replay.inputs.every(isEntry) || !replay.jumps.every(Number.isInteger)) {
+        errors.push('The replay has damaged settings, input or jump entries');
+    }
+    if (errors.length > 0) return errors;
+
+    // Bound the work of playing it back before doing any
+    if (typeof replay.ticks !== 'number' || !(replay.ticks >= 0 && replay.ticks <= MAX_REPLAY_TICKS)) {
+        errors.push(`The replay must be at most ${MAX_REPLAY_TICKS} steps (an hour) long`);
+    }
+    const levels = new Set(replay.levels.map(entry => `${entry[1]}:${entry[2] || 0}`));
+    if (levels.size > MAX_REPLAY_LEVELS || replay.levels.length > MAX_REPLAY_LEVEL_LOADS) {
+        errors.push(`The replay can have at most ${MAX_REPLAY_LEVELS} different levels and ${MAX_REPLAY_LEVEL_LOADS} level loads`);
+    }
+    if (errors.length > 0) return errors;
+
+    if (replay.mode !== board.mode) errors.push(`The replay is a ${replay.mode} run, not ${board.mode}`);
+    if (board.mode === 'speedrun' && replay.target !== board.target) errors.push(`The replay is not a ${board.target}-level speedrun`);
+    if (board.mode === 'speedrun' && replay.resumed) errors.push('Resumed speedruns do not count');
+    for (const entry of replay.levels) {
+        if (game.ReplayRunner.isCustomLevelEntry(entry)) {
+            errors.push('The replay has a custom level');
+            break;
+        }
+        const variant = entry[2] || 0;
+        if (variant !== 0 && !(board.mode === 'endless' && variant < game.ENDLESS_LEVEL_VARIANTS)) {
+            errors.push(`The replay has a level layout this mode doesn't play (variant ${variant})`);
+            break;
+        }
+    }
+    if (errors.length > 0) return errors;
+
+    // Levels in order, before generating any: the board's first level, then each one a restart of
+    // the level before or the next level (whether that one was cleared shows in the playback)
+    let previousSeed = null;
+    for (const entry of replay.levels) {
+        const seed = entry[1];
+        const inOrder = previousSeed === null ? seed === board.seed : seed === previousSeed || seed === previousSeed + 1;
+        if (!inOrder) {
+            errors.push(`Level ${seed} was played out of order`);
+            return errors;
+        }
+        previousSeed = seed;
+    }
+
+    // Play it back: each level is the one after the last level cleared, or a restart of it
+    let expectedSeed = board.seed;
+    let cleared = false;
+    let nearMisses = 0;
+    const runner = new game.ReplayRunner(replay, {
+        onEvent: (type, data) => {
+            if (type === 'goal') {
+                cleared = true;
+            } else if (type === 'nearMiss') {
+                nearMisses++;
+            } else if (type === 'level') {
+                if (cleared && data.seed === expectedSeed + 1) {
+                    expectedSeed++;
+                } else if (data.seed !== expectedSeed) {
+                    errors.push(`Level ${data.seed} was played out of order`);
+                }
+                cleared = false;
+            }
+        }
+    });
+    while (errors.length === 0 && runner.step()) {
+        // Keep stepping until the end, or the first level played out of order
+    }
+    if (errors.length > 0) return errors;
+
+    const result = { levelsCompleted: runner.levelsCompleted, deaths: runner.deaths, ticks: runner.tick };
+    const time = result.ticks * game.PHYSICS_TIMESTEP;
+    if (result.levelsCompleted !== submission.levels) {
+        errors.push(`The replay clears ${result.levelsCompleted} level(s), not ${submission.levels}`);
+    }
+    if (result.deaths !== submission.deaths) errors.push(`The replay has ${result.deaths} death(s), not ${submission.deaths}`);
+    if (Math.abs(time - submission.time) > 1) errors.push(`The replay takes ${time} ms, not ${submission.time}`);
+    if (board.mode === 'speedrun' && result.levelsCompleted < board.target) {
+        errors.push(`The replay doesn't finish the ${board.target}-level speedrun`);
+    }
+    if (board.mode !== 'speedrun') {
+        const score = game.calculateRunScore(board.mode, result.levelsCompleted, time, nearMisses);
+        if (score !== submission.score) errors.push(`The replay scores ${score}, not ${submission.score}`);
+    }
+    return errors;
+}
+
+// Add a checked run to its board. Returns its rank (1-based), or null if it didn't make the board.
+function addEntry(boards, submission) {
+    const entry = {
+        player: submission.player.trim(),
+        score: isScoreBoard(submission.board) ? submission.score : null,
+        time: submission.time,
+        deaths: submission.deaths,
+        levels: submission.levels,
+        date: new Date().toISOString()
+    };
+    const entries = (boards.get(submission.board) || []).concat([entry]);
+    entries.sort((a, b) => compareEntries(submission.board, a, b));
+    boards.set(submission.board, entries.slice(0, BOARD_SIZE));
+
+    const rank = boards.get(submission.board).indexOf(entry);
+    return rank === -1 ? null : rank + 1;
+}
+
+function sendJSON(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                const error = new Error('Submission is too large');
+                error.status = 413;
+                reject(error);
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        request.on('error', reject);
+    });
+}
+
+function createLeaderboardServer(game = loadSimulation()) {
+    const boards = new Map(); // board -> entries, best first
+
+    return http.createServer((request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+
+        if (request.method === 'OPTIONS') {
+            sendJSON(response, 204);
+            return;
+        }
+
+        const boardMatch = /^\/leaderboards\/([^/]+)$/.exec(url.pathname);
+        if (request.method === 'GET' && boardMatch) {
+            const board = decodeURIComponent(boardMatch[1]);
+            if (!parseBoard(board)) {
+                sendJSON(response, 404, { errors: [`Unknown leaderboard "${board}"`] });
+                return;
+            }
+            const entries = (boards.get(board) || []).map((entry, i) => Object.assign({ rank: i + 1 }, entry));
+            sendJSON(response, 200, { board: board, entries: entries });
+            return;
+        }
+
+        if (request.method === 'POST' && url.pathname === '/runs') {
+            readBody(request)
+                .then(text => {
+                    let submission;
+                    try {
+                        submission = JSON.parse(text);
+                    } catch (error) {
+                        sendJSON(response, 400, { errors: ['Submission is not valid JSON'] });
+                        return;
+                    }
+
+                    let errors;
+                    try {
+                        errors = validateSubmission(game, submission);
+                    } catch (error) {
+                        // A case the checks above missed: the run can't be played back
+                        console.log(`Could not check a run: ${error.stack}`);
+                        sendJSON(response, 400, { errors: ['The replay could not be played back'] });
+                        return;
+                    }
+                    if (errors.length > 0) {
+                        console.log(`Refused a run: ${errors[0]}`);
+                        sendJSON(response, 400, { errors: errors });
+                        return;
+                    }
+
+                    const rank = addEntry(boards, submission);
+                    console.log(`${submission.board}: ${submission.player} ranked ${rank === null ? 'off the board' : `#${rank}`}`);
+                    sendJSON(response, 200, { board: submission.board, rank: rank });
+                })
+                .catch(error => sendJSON(response, error.status || 500, { errors: [error.message] }));
+            return;
+        }
+
+        sendJSON(response, 404, { errors: ['Not found'] });
+    });
+}
+
+module.exports = { createLeaderboardServer, validateSubmission };
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    createLeaderboardServer().listen(port, () => {
+        console.log(`Mock leaderboard server on http://localhost:${port}`);
+    });
+}
@@ -7,6 +7,8 @@ function showMainMenu() {
 
     // Update high score display
     document.getElementById('menu-high-score').textContent = gameState.highScore;
+    updateContinueButton();
+    updateProfileButton();
 }
 
 function showModeSelect() {
@@ -15,9 +17,8 @@ function showModeSelect() {
 
     // Update mode records
     document.getElementById('endless-record').textContent = gameState.highScore;
-    const dailyKey = `littlePrinceDaily_${getDailyChallengeSeed()}`;
-    const dailyScore = safeGetLocalStorage(dailyKey, '0');
-    document.getElementById('daily-record').textContent = dailyScore;
+    document.getElementById('daily-record').textContent = loadFromStorage(getDailyScoreKey(getDailyChallengeSeed()), 0);
+    document.getElementById('campaign-record').textContent = getCampaignSummary();
 }
 
 function showSpeedrunSelect() {
@@ -39,6 +40,11 @@ function showSpeedrunSelect() {
     document.getElementById('speedrun-25-deaths').textContent = gameState.speedrunRecords['25'].deaths === Infinity ? '0' : gameState.speedrunRecords['25'].deaths;
     document.getElementById('speedrun-100-time').textContent = formatTime(gameState.speedrunRecords['100'].time);
     document.getElementById('speedrun-100-deaths').textContent = gameState.speedrunRecords['100'].deaths === Infinity ? '0' : gameState.speedrunRecords['100'].deaths;
+
+    // Offer the replay of each record when one was saved
+    for (const target of ['10', '25', '100']) {
+        document.getElementById(`speedrun-${target}-replay`).classList.toggle('hidden', !loadReplay(`speedrun${target}`));
+    }
 }
 
 function showStats() {
@@ -52,11 +58,16 @@ function showStats() {
     document.getElementById('stat-jumps').textContent = gameState.stats.totalJumps;
     document.getElementById('stat-landings').textContent = gameState.stats.totalLandings;
     document.getElementById('stat-streak').textContent = gameState.stats.longestStreak;
+    document.getElementById('stat-near-misses').textContent = gameState.stats.blackHolesSurvived;
+    document.getElementById('stat-fastest').textContent = formatSplitTime(gameState.stats.fastestLevelClear);
 
     const totalHours = Math.floor(gameState.stats.totalTimePlayed / 3600000);
     const totalMins = Math.floor((gameState.stats.totalTimePlayed % 3600000) / 60000);
     document.getElementById('stat-time').textContent = `${totalHours}h ${totalMins}m`;
 
+    showAchievementGallery();
+    showRunHistory();
+
     if (wasInGame) {
         gameState.paused = true;
     }
@@ -78,6 +89,16 @@ function showSettings() {
 
     // Sync settings with current state
     document.getElementById('effects-toggle').checked = gameState.visualEffects;
+    document.getElementById('trajectory-toggle').checked = gameState.trajectoryPreview;
+    document.getElementById('trajectory-competitive-toggle').checked = gameState.trajectoryInCompetitive;
+    document.getElementById('trajectory-horizon-slider').value = gameState.trajectoryHorizon;
+    document.getElementById('trajectory-horizon-value').textContent = gameState.trajectoryHorizon.toFixed(1) + 's';
+    showAudioSettings();
+
+    // Importing a profile replaces the records a run in progress is playing for
+    document.getElementById('profile-import-btn').disabled = wasInGame;
+    setProfileStatus(wasInGame ? 'Quit the current run to import a profile' : '');
+    showLeaderboardServerSetting();
 
     if (wasInGame) {
         gameState.paused = true;
@@ -102,9 +123,7 @@ function showHowToPlay() {
 function showMobileMenu() {
     if (gameState.gameStarted) {
         // In game - show pause menu
-        hideAllMenus();
-        document.getElementById('pause-menu').classList.remove('hidden');
-        gameState.paused = true;
+        pauseGame();
     } else {
         // Not in game - show main menu (if hidden)
         showMainMenu();
@@ -118,17 +137,108 @@ function hideHowToPlay() {
 function showPracticeSelect() {
     hideAllMenus();
     document.getElementById('practice-select').classList.remove('hidden');
+    updatePracticePreview();
 }
 
 function setLevel(level) {
     document.getElementById('level-input').value = level;
+    updatePracticePreview();
+}
+
+function getPracticeLevelNumber() {
+    return Math.max(1, parseInt(document.getElementById('level-input').value) || 1);
+}
+
+// Show the chosen level's difficulty before starting practice (once it has been generated,
+// see level-prefetch.js)
+function updatePracticePreview() {
+    const levelNumber = getPracticeLevelNumber();
+    const preview = document.getElementById('practice-difficulty');
+    preview.textContent = `Checking Level ${levelNumber}…`;
+    requestLevel(levelNumber, 0, (level) => {
+        // Another level may have been chosen in the meantime
+        if (getPracticeLevelNumber() !== levelNumber) return;
+        preview.textContent =
+            `${formatDifficulty(level)} · ${level.archetype} · ${level.minHops || '?'} jump${level.minHops === 1 ? '' : 's'}`;
+    });
 }
 
 function startPracticeMode() {
-    const level = Math.max(1, parseInt(document.getElementById('level-input').value) || 1);
+    const level = getPracticeLevelNumber();
+    gameState.customLevel = null;
     selectMode('practice', level);
 }
 
+// Put the chosen level's share code in the code box
+function exportPracticeLevel() {
+    const levelNumber = getPracticeLevelNumber();
+    const status = document.getElementById('level-code-status');
+    status.className = 'level-code-status';
+    status.textContent = `Generating Level ${levelNumber}…`;
+
+    requestLevel(levelNumber, 0, (level) => {
+        const code = encodeLevelShareCode(levelToData(level));
+        const codeBox = document.getElementById('level-code');
+        codeBox.value = code;
+        codeBox.select();
+
+        status.textContent = `Share code for Level ${levelNumber}`;
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(code).then(() => {
+                status.textContent = `Share code for Level ${levelNumber} copied to clipboard`;
+            }).catch(() => {
+                // Clipboard access denied: the code is selected in the box instead
+            });
+        }
+    });
+}
+
+// Save the chosen level as a level JSON file
+function downloadPracticeLevel() {
+    const levelNumber = getPracticeLevelNumber();
+    requestLevel(levelNumber, 0, (level) => {
+        downloadLevelJSON(levelToData(level), `little-prince-level-${levelNumber}.json`);
+    });
+}
+
+// Offer level JSON as a file download
+function downloadLevelJSON(data, filename) {
+    downloadJSONText(JSON.stringify(data, null, 2), filename);
+}
+
+function downloadJSONText(json, filename) {
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Revoking right after the click can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Play the level in the code box (share code or level JSON). It starts right away and is checked
+// meanwhile; the player is warned if it turns out to have no way to the goal.
+function playLevelCode() {
+    const status = document.getElementById('level-code-status');
+    const result = parseLevelText(document.getElementById('level-code').value);
+    if (!result.level) {
+        status.className = 'level-code-status error';
+        status.textContent = result.errors.slice(0, 5).join('\n') +
+            (result.errors.length > 5 ? `\n...and ${result.errors.length - 5} more` : '');
+        return;
+    }
+
+    status.textContent = '';
+    const level = result.level;
+    gameState.customLevel = level;
+    selectMode('practice', null);
+    requestLevelAnalysis(level, () => {
+        if (!level.solvable && gameState.gameStarted && gameState.customLevel === level) {
+            document.getElementById('game-status').textContent = 'Warning: no way to reach the goal was found in this level';
+        }
+    });
+}
+
 function hideAllMenus() {
     document.querySelectorAll('.menu-overlay').forEach(menu => {
         menu.classList.add('hidden');
@@ -141,6 +251,13 @@ function selectMode(mode, target = null) {
     startGame(mode, target);
 }
 
+function pauseGame() {
+    gameState.paused = true;
+    hideAllMenus();
+    document.getElementById('pause-menu').classList.remove('hidden');
+    saveRun();
+}
+
 function resumeGame() {
     hideAllMenus();
     gameState.paused = false;
@@ -151,12 +268,7 @@ function restartLevel() {
     gameState.paused = false;
 
     // Reset to current level
-    gameState.currentLevel = Level.generateLevel(gameState.currentLevelNumber);
-    gameState.player = new Player(
-        gameState.currentLevel.startPosition.x,
-        gameState.currentLevel.startPosition.y,
-        gameState.currentLevel.planets[0]
-    );
+    loadLevel(gameState.currentLevel);
     gameState.particlePool.clear();
 }
 
@@ -164,16 +276,27 @@ function quitToMenu() {
     // Save total time played
     if (gameState.gameStarted) {
         gameState.stats.totalTimePlayed += gameState.currentTime;
-        safeSetLocalStorage('littlePrinceStats', gameState.stats);
+        saveToStorage('littlePrinceStats', gameState.stats);
+        recordRunResult('quit', finishRecording());
     }
 
     gameState.gameStarted = false;
     gameState.paused = false;
+
+    // Quitting a test play goes back to the level editor
+    if (gameState.levelEditor) {
+        showLevelEditor();
+        return;
+    }
     showMainMenu();
 }
 
 function playAgain() {
     hideAllMenus();
+    if (gameState.mode === 'campaign') {
+        replayCampaignChapter();
+        return;
+    }
     const lastMode = gameState.mode;
     const lastTarget = gameState.speedrunTarget;
     startGame(lastMode, lastTarget);
@@ -189,6 +312,12 @@ function showCompletionScreen() {
         document.getElementById('completion-title').textContent = 'Speedrun Complete!';
     } else if (gameState.mode === 'daily') {
         document.getElementById('completion-title').textContent = 'Daily Challenge Complete!';
+    } else if (gameState.mode === 'campaign') {
+        const entry = getCurrentCampaignLevel();
+        const finished = gameState.campaign.index === gameState.campaign.levels.length - 1;
+        document.getElementById('completion-title').textContent = finished
+            ? 'Campaign Complete!'
+            : `Chapter ${entry.chapterIndex + 1} Complete!`;
     } else {
         document.getElementById('completion-title').textContent = 'Game Over';
     }
@@ -202,4 +331,6 @@ function showCompletionScreen() {
 
     document.getElementById('final-deaths').textContent = gameState.deaths;
     document.getElementById('final-score').textContent = gameState.score;
+
+    showSplitTable();
 }